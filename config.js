@@ -15,13 +15,53 @@ const config = {
     : null,
 
   BOT_PREFIX: process.env.BOT_PREFIX || "", // Optional: Prefix for AI responses
+  TRIGGER_MODE: (process.env.TRIGGER_MODE || "all").toLowerCase(), // "all" or "mention" (answer when addressed, in any channel)
+  TRIGGER_NAMES: (process.env.TRIGGER_NAMES || "") // Names that address the bot in mention mode; defaults to its own
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name),
   IGNORE_PREFIX: process.env.IGNORE_PREFIX || "!ignore", // Optional: Prefix to ignore messages
   COMMAND_PREFIX: process.env.COMMAND_PREFIX || "!ollama", // Prefix for utility commands
+  SLASH_COMMANDS: (process.env.SLASH_COMMANDS || "true") === "true", // Also offer the commands as /slash commands
+  SLASH_COMMANDS_GUILD_ID: process.env.SLASH_COMMANDS_GUILD_ID || "", // Register them in this guild only (for testing)
+  BOT_OWNER_IDS: (process.env.BOT_OWNER_IDS || "") // User IDs that may run every command
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id),
+  ADMIN_ROLE_IDS: (process.env.ADMIN_ROLE_IDS || "") // Role IDs that may run commands needing Discord permissions
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id),
 
   // AI Service Configuration
-  AI_SERVICE: process.env.AI_SERVICE
-    ? process.env.AI_SERVICE.toUpperCase()
-    : "OLLAMA", // "OLLAMA" or "GEMINI"
+  // Ordered failover chain, e.g. "OLLAMA,GEMINI". The first entry is the primary provider.
+  AI_SERVICES: (process.env.AI_SERVICE || "OLLAMA")
+    .split(",")
+    .map((service) => service.trim().toUpperCase())
+    .filter((service) => service),
+  AI_REQUEST_TIMEOUT_MS: parseInt(
+    process.env.AI_REQUEST_TIMEOUT_MS || "120000",
+    10
+  ), // 0 disables the timeout
+  CIRCUIT_BREAKER_THRESHOLD: parseInt(
+    process.env.CIRCUIT_BREAKER_THRESHOLD || "3",
+    10
+  ), // Consecutive failures before a provider is tripped out, 0 disables
+  CIRCUIT_BREAKER_COOLDOWN_MS: parseInt(
+    process.env.CIRCUIT_BREAKER_COOLDOWN_MS || "60000",
+    10
+  ),
+  AI_MAX_CONCURRENCY: Object.fromEntries(
+    (process.env.AI_MAX_CONCURRENCY || "OLLAMA=1") // e.g. "OLLAMA=1,GEMINI=4"; unlisted providers are unlimited
+      .split(",")
+      .map((entry) => entry.split("="))
+      .filter(([service, limit]) => service && limit)
+      .map(([service, limit]) => [
+        service.trim().toUpperCase(),
+        parseInt(limit, 10),
+      ])
+  ),
+  QUEUE_REACTION: process.env.QUEUE_REACTION ?? "⏳", // Reaction on messages waiting for their turn, empty disables
   DEBUG_MODE: (process.env.DEBUG_MODE || "false") === "true", // Enable debug logging
 
   // Ollama Configuration (if AI_SERVICE is OLLAMA)
@@ -29,27 +69,117 @@ const config = {
   OLLAMA_MODEL: process.env.OLLAMA_MODEL,
   OLLAMA_SYSTEM_PROMPT: process.env.OLLAMA_SYSTEM_PROMPT || "",
   IMAGE_READER_MODEL: process.env.IMAGE_READER_MODEL, // Ollama model for image reading (e.g., llava)
+  OLLAMA_EMBED_MODEL: process.env.OLLAMA_EMBED_MODEL, // Ollama model for memory embeddings (e.g., nomic-embed-text)
   IMAGE_READER_PROMPT:
     process.env.IMAGE_READER_PROMPT || "Describe this image in detail.",
+  NATIVE_IMAGE_INPUT: (process.env.NATIVE_IMAGE_INPUT || "true") === "true", // Send images to vision-capable chat models directly
+  VISION_CHAT_MODELS: (process.env.VISION_CHAT_MODELS || "") // Ollama/OpenAI-compatible chat models that accept images
+    .split(",")
+    .map((model) => model.trim())
+    .filter((model) => model),
+  IMAGE_TOKEN_ESTIMATE: parseInt(process.env.IMAGE_TOKEN_ESTIMATE || "768", 10), // Context tokens counted per image
+  ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES || "5242880", 10), // Larger text files and PDFs are not downloaded (5 MB)
+  ATTACHMENT_MAX_TOKENS: parseInt(process.env.ATTACHMENT_MAX_TOKENS || "2000", 10), // Text kept per file, the middle is cut
+  ATTACHMENT_TOTAL_MAX_TOKENS: parseInt(process.env.ATTACHMENT_TOTAL_MAX_TOKENS || "6000", 10), // Text kept from all files of one turn
+  PDF_MAX_PAGES: parseInt(process.env.PDF_MAX_PAGES || "50", 10), // Later pages are not read
+  PDF_PARSE_TIMEOUT_MS: parseInt(process.env.PDF_PARSE_TIMEOUT_MS || "15000", 10),
+  TRANSCRIPTION_URL: process.env.TRANSCRIPTION_URL || "", // e.g. http://localhost:8080/inference, empty disables transcription
+  TRANSCRIPTION_MODEL: process.env.TRANSCRIPTION_MODEL || "", // Sent as `model`, required by OpenAI-compatible endpoints
+  TRANSCRIPTION_LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || "", // Empty lets the server detect the language
+  TRANSCRIPTION_API_KEY: process.env.TRANSCRIPTION_API_KEY || "",
+  TRANSCRIPTION_TIMEOUT_MS: parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS || "60000", 10),
+  TTS_URL: process.env.TTS_URL || "", // e.g. http://localhost:5002/api/tts, empty disables spoken replies
+  TTS_EXTRA_PARAMS: process.env.TTS_EXTRA_PARAMS || "", // Extra query parameters, e.g. speaker_id=p225&language_id=en
+  TTS_TIMEOUT_MS: parseInt(process.env.TTS_TIMEOUT_MS || "60000", 10),
+  VOICE_REPLY_MODE: ["on", "off", "auto"].includes(process.env.VOICE_REPLY_MODE)
+    ? process.env.VOICE_REPLY_MODE
+    : "auto", // Default for spoken replies: on, off, or auto (answer voice messages with voice)
+  DEFAULT_PERSONA: process.env.DEFAULT_PERSONA || "", // Persona from data/personas for conversations without one
+  IMAGE_GEN_URL: process.env.IMAGE_GEN_URL || "", // AUTOMATIC1111-compatible server, e.g. http://localhost:7860
+  IMAGE_GEN_WIDTH: parseInt(process.env.IMAGE_GEN_WIDTH || "512", 10),
+  IMAGE_GEN_HEIGHT: parseInt(process.env.IMAGE_GEN_HEIGHT || "512", 10),
+  IMAGE_GEN_STEPS: parseInt(process.env.IMAGE_GEN_STEPS || "20", 10),
+  IMAGE_GEN_NEGATIVE_PROMPT: process.env.IMAGE_GEN_NEGATIVE_PROMPT || "",
+  IMAGE_GEN_MAX_SIZE: parseInt(process.env.IMAGE_GEN_MAX_SIZE || "1024", 10), // Largest width/height users may ask for
+  IMAGE_GEN_MAX_STEPS: parseInt(process.env.IMAGE_GEN_MAX_STEPS || "50", 10),
+  IMAGE_GEN_MAX_QUEUED_PER_USER: parseInt(process.env.IMAGE_GEN_MAX_QUEUED_PER_USER || "2", 10),
+  IMAGE_GEN_TIMEOUT_MS: parseInt(process.env.IMAGE_GEN_TIMEOUT_MS || "300000", 10),
 
   // Gemini Configuration (if AI_SERVICE is GEMINI)
   GEMINI_API_KEY: process.env.GEMINI_API_KEY, // Placeholder for Gemini API Key
   GEMINI_MODEL: process.env.GEMINI_MODEL || "gemini-pro", // Placeholder for Gemini Model
   GEMINI_SYSTEM_INSTRUCTION: process.env.GEMINI_SYSTEM_INSTRUCTION,
+  GEMINI_EMBED_MODEL: process.env.GEMINI_EMBED_MODEL || "text-embedding-004",
+
+  // OpenAI-compatible Configuration (if AI_SERVICE is OPENAI_COMPAT)
+  OPENAI_COMPAT_BASE_URL: process.env.OPENAI_COMPAT_BASE_URL, // e.g., http://127.0.0.1:8080
+  OPENAI_COMPAT_API_KEY: process.env.OPENAI_COMPAT_API_KEY, // Optional, most local servers ignore it
+  OPENAI_COMPAT_MODEL: process.env.OPENAI_COMPAT_MODEL,
+  OPENAI_COMPAT_SYSTEM_PROMPT: process.env.OPENAI_COMPAT_SYSTEM_PROMPT || "",
+  OPENAI_COMPAT_VISION_MODEL: process.env.OPENAI_COMPAT_VISION_MODEL, // Optional, model for image reading
+  OPENAI_COMPAT_EMBED_MODEL: process.env.OPENAI_COMPAT_EMBED_MODEL, // Optional, model for memory embeddings
+  OPENAI_COMPAT_MAX_TOKENS: parseInt(
+    process.env.OPENAI_COMPAT_MAX_TOKENS || "1000",
+    10
+  ),
 
   // Bot Behavior
   ALLOW_EMOJIS: (process.env.ALLOW_EMOJIS || "false") === "true",
   ALLOW_SINGLE_DOT: (process.env.ALLOW_SINGLE_DOT || "false") === "true",
   MESSAGE_CHUNK_SIZE: parseInt(process.env.MESSAGE_CHUNK_SIZE || "1900", 10),
   COOLDOWN_TIME: parseInt(process.env.COOLDOWN_TIME || "2000", 10), // Milliseconds
+  DEBOUNCE_MS: parseInt(process.env.DEBOUNCE_MS || "2000", 10), // Quiet time before a burst of messages is answered, 0 disables
+  DEBOUNCE_TYPING_MS: parseInt(process.env.DEBOUNCE_TYPING_MS || "6000", 10), // Wait after the sender starts typing again
+  DEBOUNCE_MAX_MS: parseInt(process.env.DEBOUNCE_MAX_MS || "15000", 10), // Longest wait after the first message of a burst
+  DEBOUNCE_SCOPE: (process.env.DEBOUNCE_SCOPE || "author").toLowerCase(), // "author" or "channel"
   MAX_HISTORY_SIZE: parseInt(process.env.MAX_HISTORY_SIZE || "20", 10), // -1 unlimited, 0 one-shot
+  CONTEXT_TOKENS: parseInt(process.env.CONTEXT_TOKENS || "4096", 10), // Context window of models not listed in MODEL_CONTEXT_TOKENS
+  MODEL_CONTEXT_TOKENS: Object.fromEntries(
+    (process.env.MODEL_CONTEXT_TOKENS || "") // e.g. "llama3:8b=8192,gemini-2.0-flash=1000000"
+      .split(",")
+      .map((entry) => entry.split("="))
+      .filter(([model, tokens]) => model && tokens)
+      .map(([model, tokens]) => [model.trim(), parseInt(tokens, 10)])
+  ),
+  REPLY_TOKEN_RESERVE: parseInt(process.env.REPLY_TOKEN_RESERVE || "1000", 10), // Tokens kept free for the reply
+  CHARS_PER_TOKEN: parseFloat(process.env.CHARS_PER_TOKEN || "4"), // Used by the default token estimate
+  ENABLE_HISTORY_SUMMARY:
+    (process.env.ENABLE_HISTORY_SUMMARY || "true") === "true", // Summarize pruned history instead of forgetting it
+  SUMMARY_PROMPT:
+    process.env.SUMMARY_PROMPT ||
+    "You maintain a running summary of a chat with a Discord bot. Merge the new messages into the current summary. Keep names, facts about the users, preferences, plans, promises and open questions; drop small talk. Reply with the updated summary only.",
+  SUMMARY_MAX_WORDS: parseInt(process.env.SUMMARY_MAX_WORDS || "300", 10),
+  SUMMARY_BATCH_SIZE: parseInt(process.env.SUMMARY_BATCH_SIZE || "10", 10), // Pruned messages per summary update
+  ENABLE_MEMORY: (process.env.ENABLE_MEMORY || "false") === "true", // Recall relevant past exchanges via embeddings
+  MEMORY_TOP_K: parseInt(process.env.MEMORY_TOP_K || "3", 10), // Memories added to each prompt
+  MEMORY_MIN_SCORE: parseFloat(process.env.MEMORY_MIN_SCORE || "0.5"), // Minimum cosine similarity of a recalled memory
   MULTIPLE_CHATTERS: (process.env.MULTIPLE_CHATTERS || "false") === "true",
   MESSAGE_SPLIT_TOKEN: process.env.MESSAGE_SPLIT_TOKEN || "[NEXT_MSG]",
   MESSAGE_SPLIT_DELAY_MS: parseInt(
     process.env.MESSAGE_SPLIT_DELAY_MS || "1000",
     10
   ),
+  HUMANIZE_DELAYS: (process.env.HUMANIZE_DELAYS || "false") === "true", // Read and typing delays instead of MESSAGE_SPLIT_DELAY_MS
+  READ_DELAY_PER_CHAR_MS: parseInt(
+    process.env.READ_DELAY_PER_CHAR_MS || "20",
+    10
+  ),
+  READ_DELAY_MAX_MS: parseInt(process.env.READ_DELAY_MAX_MS || "5000", 10),
+  TYPING_DELAY_PER_CHAR_MS: parseInt(
+    process.env.TYPING_DELAY_PER_CHAR_MS || "50",
+    10
+  ),
+  TYPING_DELAY_MAX_MS: parseInt(process.env.TYPING_DELAY_MAX_MS || "10000", 10),
+  DELAY_JITTER: parseFloat(process.env.DELAY_JITTER || "0.3"), // Delays vary by up to this fraction
+  TYPING_REFRESH_MS: parseInt(process.env.TYPING_REFRESH_MS || "8000", 10), // Discord hides the typing indicator after ~10s
   TIMEZONE: process.env.TIMEZONE || "UTC",
+  STREAM_RESPONSES: (process.env.STREAM_RESPONSES || "false") === "true", // Edit the reply in place as tokens arrive
+  STREAM_EDIT_INTERVAL_MS: parseInt(
+    process.env.STREAM_EDIT_INTERVAL_MS || "1000",
+    10
+  ), // Minimum time between edits of a streamed message
+  ENABLE_TOOLS: (process.env.ENABLE_TOOLS || "false") === "true", // Let the AI call tools (see src/tools/)
+  MAX_TOOL_ITERATIONS: parseInt(process.env.MAX_TOOL_ITERATIONS || "5", 10), // Tool rounds per reply before the AI must answer
 
   // Proactive Messaging Configuration
   ENABLE_PROACTIVE_MESSAGING:
@@ -96,24 +226,9 @@ const config = {
       console.error("FATAL ERROR: DISCORD_TOKEN is not set in your .env file.");
       process.exit(1);
     }
-    if (this.AI_SERVICE === "OLLAMA" && !this.OLLAMA_MODEL) {
-      console.error(
-        "FATAL ERROR: OLLAMA_MODEL is not set in your .env file, but AI_SERVICE is OLLAMA."
-      );
-      process.exit(1);
-    }
-    if (this.AI_SERVICE === "GEMINI" && !this.GEMINI_API_KEY) {
-      // You might want to make this a warning if Gemini is optional or has other auth methods
-      console.warn(
-        "WARNING: GEMINI_API_KEY is not set in your .env file, but AI_SERVICE is GEMINI."
-      );
-    }
-    if (this.AI_SERVICE === "GEMINI" && !this.GEMINI_MODEL) {
-      console.warn(
-        "WARNING: GEMINI_MODEL is not set for Gemini service. Using default."
-      );
-    }
-    if (!this.TARGET_CHANNEL_ID) {
+    // Provider-specific settings are validated by each AI provider
+    // (see validateConfig in src/services/) when it is initialized.
+    if (!this.TARGET_CHANNEL_ID && this.TRIGGER_MODE !== "mention") {
       console.warn(
         "Warning: TARGET_CHANNEL_ID is not set. Bot will respond in all channels it can see."
       );
@@ -129,6 +244,9 @@ const config = {
   },
 };
 
+// The primary provider, kept for code that only cares about one service
+config.AI_SERVICE = config.AI_SERVICES[0] || "OLLAMA";
+
 config.validate(); // Run validation on import
 
 module.exports = config;
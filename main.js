@@ -11,6 +11,7 @@ const aiServiceProvider = require("./src/aiServiceProvider");
 const readyHandler = require("./src/eventHandlers/readyHandler");
 const messageCreateHandler = require("./src/eventHandlers/messageCreateHandler");
 const userInfoManager = require("./src/utils/userInfoManager");
+const historySummarizer = require("./src/utils/historySummarizer");
 
 // --- Graceful Shutdown ---
 const shutdown = (signal) => {
@@ -88,7 +89,9 @@ try {
 // Initialize the AI service provider
 if (!aiServiceProvider.initialize()) {
   logger.error(
-    `Failed to initialize the AI Service Provider (${config.AI_SERVICE}). Shutting down.`
+    `Failed to initialize the AI Service Provider (${config.AI_SERVICES.join(
+      ", "
+    )}). Shutting down.`
   );
   process.exit(1);
 }
@@ -97,6 +100,10 @@ if (!aiServiceProvider.initialize()) {
 try {
   historyManager.loadHistory();
   historyManager.startPeriodicSave();
+  if (config.ENABLE_HISTORY_SUMMARY) {
+    // Pruned messages are condensed into a running summary instead of being lost
+    historyManager.setPruneHandler(historySummarizer.summarizePrunedMessages);
+  }
   logger.log("History manager initialized successfully");
 } catch (error) {
   logger.error("Failed to initialize the History Manager:", error);
@@ -125,7 +132,7 @@ if (!fs.existsSync(path.join(__dirname, ".env"))) {
   logger.warn("Example .env content:");
   logger.warn("DISCORD_TOKEN=your_discord_bot_token_here");
   logger.warn("OLLAMA_MODEL=your_ollama_model_name");
-  logger.warn("# AI_SERVICE=OLLAMA (or GEMINI)");
+  logger.warn("# AI_SERVICE=OLLAMA (or GEMINI, OPENAI_COMPAT, OLLAMA,GEMINI)");
   logger.warn("# DEBUG_MODE=true");
   logger.warn(
     "--------------------------------------------------------------------"
@@ -1,17 +1,64 @@
 // src/aiServiceProvider.js
-// Provides a unified interface for AI interactions, switching between configured services.
+// Provides a unified interface for AI interactions, failing over between the configured services.
 
 const config = require("../config");
 const logger = require("./logger");
-const ollamaService = require("./services/ollamaService");
-const geminiService = require("./services/geminiService"); // Placeholder
+const providerRegistry = require("./providerRegistry");
 const userInfoManager = require("./utils/userInfoManager");
+const { createCircuitBreaker } = require("./utils/circuitBreaker");
+const { createConcurrencyLimiter } = require("./utils/concurrencyLimiter");
+const tokenBudget = require("./utils/tokenBudget");
+const promptTemplate = require("./utils/promptTemplate");
 
-let currentService = null;
+// Initialized providers in failover order: Array<{ provider, breaker, limiter }>
+let serviceChain = [];
+
+/**
+ * Logs the configuration the provider reports about itself.
+ * @param {import('./providerRegistry').AIProvider} provider The provider.
+ */
+const logProviderConfig = (provider) => {
+  if (!provider.describeConfig) return;
+  for (const [label, value] of provider.describeConfig()) {
+    logger.log(`${label}: ${value}`);
+  }
+};
+
+/**
+ * Validates and initializes a single provider.
+ * @param {string} serviceName The provider name from AI_SERVICE.
+ * @returns {import('./providerRegistry').AIProvider|null} The provider if it is ready.
+ */
+const initializeProvider = (serviceName) => {
+  const provider = providerRegistry.getProvider(serviceName);
+  if (!provider) {
+    logger.error(
+      `Unsupported AI_SERVICE: ${serviceName}. Please choose one of: ${providerRegistry
+        .listProviders()
+        .join(", ")}.`
+    );
+    return null;
+  }
+
+  const displayName = provider.displayName || provider.name;
+  const { errors = [], warnings = [] } = provider.validateConfig
+    ? provider.validateConfig()
+    : {};
+  warnings.forEach((warning) => logger.warn(warning));
+  errors.forEach((error) => logger.error(error));
+
+  if (errors.length === 0 && provider.initialize()) {
+    logProviderConfig(provider);
+    return provider;
+  }
+  logger.error(`Failed to initialize ${displayName} Service.`);
+  return null;
+};
 
 const initialize = () => {
-  logger.log(`Attempting to initialize AI Service: ${config.AI_SERVICE}`);
-  let initializedSuccessfully = false;
+  logger.log(
+    `Attempting to initialize AI Service(s): ${config.AI_SERVICES.join(", ")}`
+  );
 
   // Initialize user info manager first
   if (!userInfoManager.initialize()) {
@@ -20,88 +67,568 @@ const initialize = () => {
     );
   }
 
-  if (config.AI_SERVICE === "OLLAMA") {
-    if (ollamaService.initialize()) {
-      currentService = ollamaService;
-      initializedSuccessfully = true;
-    } else {
-      logger.error("Failed to initialize Ollama Service.");
+  providerRegistry.discoverProviders();
+
+  serviceChain = [];
+  for (const serviceName of config.AI_SERVICES) {
+    const provider = initializeProvider(serviceName);
+    if (provider) {
+      serviceChain.push({
+        provider,
+        breaker: createCircuitBreaker({
+          threshold: config.CIRCUIT_BREAKER_THRESHOLD,
+          cooldownMs: config.CIRCUIT_BREAKER_COOLDOWN_MS,
+        }),
+        // Requests beyond AI_MAX_CONCURRENCY for this provider wait for a free slot
+        limiter: createConcurrencyLimiter(
+          config.AI_MAX_CONCURRENCY[provider.name.toUpperCase()] || 0
+        ),
+      });
     }
-  } else if (config.AI_SERVICE === "GEMINI") {
-    if (geminiService.initialize()) {
-      // This will call the placeholder initialize
-      currentService = geminiService;
-      initializedSuccessfully = true; // Assuming placeholder initializes "successfully"
-    } else {
-      logger.error("Failed to initialize Gemini Service.");
+  }
+
+  const initializedSuccessfully = serviceChain.length > 0;
+  if (initializedSuccessfully) {
+    logger.log(
+      `AI Service Provider initialized with ${serviceChain
+        .map(({ provider }) => provider.name)
+        .join(" -> ")}.`
+    );
+    if (serviceChain.length < config.AI_SERVICES.length) {
+      logger.warn(
+        "Some AI services failed to initialize and were left out of the failover chain."
+      );
     }
   } else {
     logger.error(
-      `Unsupported AI_SERVICE: ${config.AI_SERVICE}. Please choose OLLAMA or GEMINI.`
+      `AI Service Provider FAILED to initialize with ${config.AI_SERVICES.join(
+        ", "
+      )}. Bot may not function correctly.`
     );
-    return false;
   }
+  return initializedSuccessfully;
+};
 
-  if (initializedSuccessfully) {
-    logger.log(`AI Service Provider initialized with ${config.AI_SERVICE}.`);
+/**
+ * Gets the services that can take requests right now, in failover order.
+ * Providers with an open circuit breaker are skipped, unless every provider is tripped,
+ * in which case all of them are tried rather than failing outright.
+ * @param {(provider: import('./providerRegistry').AIProvider) => boolean} [filter] Extra provider filter.
+ * @returns {Array<{provider: object, breaker: object}>} The usable services.
+ */
+const getUsableServices = (filter = () => true) => {
+  const available = serviceChain.filter(
+    ({ provider }) => provider.isAvailable() && filter(provider)
+  );
+  const closed = available.filter(({ breaker }) => !breaker.isOpen());
+  return closed.length > 0 ? closed : available;
+};
+
+/**
+ * Rejects if the promise does not settle within the configured AI request timeout.
+ * @param {Promise} promise The request.
+ * @param {string} label Used in the timeout error message.
+ * @returns {Promise} The request result.
+ */
+const withTimeout = (promise, label) => {
+  if (!config.AI_REQUEST_TIMEOUT_MS || config.AI_REQUEST_TIMEOUT_MS <= 0) {
+    return promise;
+  }
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(
+      () =>
+        reject(
+          new Error(
+            `${label} timed out after ${config.AI_REQUEST_TIMEOUT_MS}ms`
+          )
+        ),
+      config.AI_REQUEST_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() =>
+    clearTimeout(timeoutId)
+  );
+};
+
+/**
+ * Counts a failed request against a service and trips it out if it keeps failing.
+ * @param {{provider: object, breaker: object}} service The service that failed.
+ */
+const recordFailure = ({ provider, breaker }) => {
+  breaker.recordFailure();
+  if (breaker.isOpen()) {
+    logger.warn(
+      `${provider.name} keeps failing. Tripping it out for ${
+        config.CIRCUIT_BREAKER_COOLDOWN_MS / 1000
+      } seconds.`
+    );
+  }
+};
+
+/**
+ * Builds the callback for a request that has to wait for a busy provider.
+ * @param {object} provider The provider.
+ * @param {() => void} [onQueued] The caller's callback.
+ * @returns {() => void} Logs the wait and calls onQueued.
+ */
+const whenQueued = (provider, onQueued) => () => {
+  logger.debug(
+    `${provider.name} is busy (AI_MAX_CONCURRENCY). Waiting for a free slot.`
+  );
+  if (onQueued) onQueued();
+};
+
+/**
+ * Runs a request on each usable service in order until one returns a result.
+ * Null results, errors (e.g. ECONNREFUSED) and timeouts count as failures.
+ * The request waits for a free slot of the provider (AI_MAX_CONCURRENCY) first; the
+ * timeout only starts once it has one, and a timed-out request keeps its slot until it ends.
+ * @param {Array<{provider: object, breaker: object, limiter: object}>} services The services to try.
+ * @param {string} action What is being requested, for logging.
+ * @param {(provider: object, prepared: any) => Promise<any>} request Performs the request on one provider.
+ * @param {object} [hooks]
+ * @param {(provider: object) => Promise<any>} [hooks.prepare] Runs before waiting for a slot
+ *   (e.g. work that makes requests of its own); its result is passed to request.
+ * @param {() => void} [hooks.onQueued] Called when the request has to wait for a slot.
+ * @returns {Promise<any|null>} The first successful result, or null if every service failed.
+ */
+const runWithFailover = async (
+  services,
+  action,
+  request,
+  { prepare, onQueued } = {}
+) => {
+  for (const { provider, breaker, limiter } of services) {
+    try {
+      const prepared = prepare ? await prepare(provider) : undefined;
+      const release = await limiter.acquire(whenQueued(provider, onQueued));
+      // The timeout cannot stop the request, so the slot is only released once the
+      // request itself ends; otherwise a slow provider would get more than
+      // AI_MAX_CONCURRENCY requests at a time
+      const pending = Promise.resolve().then(() => request(provider, prepared));
+      pending.then(release, release);
+      const result = await withTimeout(pending, `${provider.name} ${action}`);
+      if (result) {
+        breaker.recordSuccess();
+        return result;
+      }
+      logger.warn(`${provider.name} returned no result for ${action}.`);
+    } catch (error) {
+      logger.warn(`${provider.name} failed during ${action}:`, error.message);
+    }
+    recordFailure({ provider, breaker });
+  }
+  return null;
+};
+
+/**
+ * Resolves which provider a request targets and which model it uses there.
+ * `options.provider` (e.g., from a per-conversation override) moves that provider to
+ * the front of the chain; otherwise the primary provider is targeted. `options.model`
+ * only applies to the targeted provider, the others fall back to their defaults.
+ * @param {Array<{provider: object, breaker: object}>} services The usable services.
+ * @param {object} options Request options.
+ * @returns {{services: Array<{provider: object, breaker: object}>, modelFor: (provider: object) => string}}
+ */
+const resolveTarget = (services, options) => {
+  const targetName = (options.provider || serviceChain[0].provider.name).toUpperCase();
+  const ordered = [
+    ...services.filter(({ provider }) => provider.name === targetName),
+    ...services.filter(({ provider }) => provider.name !== targetName),
+  ];
+  return {
+    services: ordered,
+    modelFor: (provider) =>
+      (provider.name === targetName && options.model) ||
+      provider.getDefaultModel(),
+  };
+};
+
+/**
+ * Gets the configured chat model for the primary AI service.
+ * @returns {string|undefined} The default model name.
+ */
+const getDefaultModel = () =>
+  serviceChain.length > 0 ? serviceChain[0].provider.getDefaultModel() : undefined;
+
+/**
+ * Gets the system prompt a provider should apply: `options.systemPrompt`, else the
+ * provider's own, with its placeholders filled for `options.promptContext`.
+ * @param {import('./providerRegistry').AIProvider} provider The provider.
+ * @param {Object} options Same as chat.
+ * @returns {string|undefined} The system prompt, or undefined if there is none.
+ */
+const resolveSystemPrompt = (provider, options) => {
+  const template =
+    options.systemPrompt !== undefined
+      ? options.systemPrompt
+      : provider.getSystemPrompt
+      ? provider.getSystemPrompt()
+      : undefined;
+  return template
+    ? promptTemplate.render(
+        template,
+        promptTemplate.buildVariables(options.promptContext)
+      )
+    : template;
+};
+
+/**
+ * Gets how many tokens the conversation messages of a request may use: the context
+ * window of the targeted model minus the reply allowance (REPLY_TOKEN_RESERVE), the
+ * system prompt and the tool definitions.
+ * @param {Object} options Same as chat.
+ * @returns {number} The token budget for the messages.
+ */
+const getPromptTokenBudget = (options = {}) => {
+  const services = getUsableServices();
+  let contextSize = tokenBudget.getContextSize();
+  let systemPrompt = options.systemPrompt;
+  if (services.length > 0) {
+    const target = resolveTarget(services, options);
+    const { provider } = target.services[0];
+    contextSize = tokenBudget.getContextSize(target.modelFor(provider));
+    systemPrompt = resolveSystemPrompt(provider, options);
+  }
+
+  const toolTokens = (options.tools || []).reduce(
+    (total, { name, description, parameters }) =>
+      total +
+      tokenBudget.countTokens(JSON.stringify({ name, description, parameters })),
+    0
+  );
+  return Math.max(
+    0,
+    contextSize -
+      config.REPLY_TOKEN_RESERVE -
+      tokenBudget.countTokens(systemPrompt) -
+      toolTokens
+  );
+};
+
+/**
+ * Whether the model a request targets accepts images in the conversation.
+ * @param {Object} options Same as chat.
+ * @returns {boolean} True if images can be sent natively (see NATIVE_IMAGE_INPUT).
+ */
+const supportsImageInput = (options = {}) => {
+  const services = getUsableServices();
+  if (!config.NATIVE_IMAGE_INPUT || services.length === 0) return false;
+  const target = resolveTarget(services, options);
+  const { provider } = target.services[0];
+  return (
+    !!provider.supportsImageInput &&
+    provider.supportsImageInput(target.modelFor(provider))
+  );
+};
+
+/**
+ * Prepares images for a provider that cannot take them natively: the images of the
+ * latest user message are replaced by descriptions, older ones are dropped (their
+ * `[Image: name]` markers stay in the text).
+ * @param {object} provider The provider.
+ * @param {string} model The model to use.
+ * @param {Array} messages The messages; every attempt gets its own copies.
+ * @param {Map<string, string>} descriptions Descriptions made earlier in this request, by image data.
+ * @returns {Promise<Array>} Copies of the messages the provider can handle.
+ */
+const adaptImages = async (provider, model, messages, descriptions) => {
+  const messagesCopy = messages.map((message) => ({ ...message }));
+  if (provider.supportsImageInput && provider.supportsImageInput(model)) {
+    return messagesCopy;
+  }
+
+  const lastUserIndex = messagesCopy.map(({ role }) => role).lastIndexOf("user");
+  for (const [index, message] of messagesCopy.entries()) {
+    if (!message.images) continue;
+    const { images, ...rest } = message;
+    messagesCopy[index] = rest;
+    if (index !== lastUserIndex) continue;
+
+    for (const image of images) {
+      if (!descriptions.has(image.data)) {
+        descriptions.set(image.data, await describeImage(image.data));
+      }
+      const description =
+        descriptions.get(image.data) || "[Image could not be described]";
+      rest.content += `\n[Image Description for ${image.name || "image"}]: ${description}`;
+    }
+  }
+  return messagesCopy;
+};
+
+/**
+ * Asks a provider for the next assistant turn. Providers without tool support
+ * answer in plain text, which ends the tool loop.
+ * @param {object} provider The provider.
+ * @param {Array} messagesCopy The messages so far, including tool turns, adapted to the
+ *   provider (see adaptImages).
+ * @param {string} model The model to use.
+ * @param {Object} options Request options; `tools` holds the tools to offer.
+ * @returns {Promise<{content: string, toolCalls: Array<object>}|null>} The turn, or null if empty.
+ */
+const requestTurn = async (provider, messagesCopy, model, options) => {
+  const providerOptions = {
+    ...options,
+    systemPrompt: resolveSystemPrompt(provider, options),
+  };
+  const turn =
+    options.tools.length > 0 && provider.chatWithTools
+      ? await provider.chatWithTools(messagesCopy, model, providerOptions)
+      : { content: await provider.chat(messagesCopy, model, providerOptions) };
+  if (!turn) return null;
+
+  const toolCalls = turn.toolCalls || [];
+  return turn.content || toolCalls.length > 0
+    ? { content: turn.content || "", toolCalls }
+    : null;
+};
+
+/**
+ * Runs a tool the model asked for. Failures are reported back to the model
+ * instead of failing the whole reply.
+ * @param {{name: string, arguments: object}} call The tool call.
+ * @param {Array<import('./tools/toolRegistry').AITool>} tools The tools offered.
+ * @param {import('./tools/toolRegistry').ToolContext} context The triggering message context.
+ * @returns {Promise<string>} The tool result for the model.
+ */
+const runToolCall = async (call, tools, context = {}) => {
+  const tool = tools.find(({ name }) => name === call.name);
+  let result;
+  if (!tool) {
+    logger.warn(`AI requested unknown tool ${call.name}.`);
+    result = { error: `Unknown tool "${call.name}".` };
   } else {
-    logger.error(
-      `AI Service Provider FAILED to initialize with ${config.AI_SERVICE}. Bot may not function correctly.`
+    logger.log(
+      `AIServiceProvider: Running tool ${call.name} with ${JSON.stringify(
+        call.arguments
+      )}`
     );
+    try {
+      result = await withTimeout(
+        Promise.resolve(tool.execute(call.arguments || {}, context)),
+        `Tool ${call.name}`
+      );
+    } catch (error) {
+      logger.warn(`Tool ${call.name} failed:`, error.message);
+      result = { error: error.message };
+    }
   }
-  return initializedSuccessfully;
+  return typeof result === "string" ? result : JSON.stringify(result);
 };
 
 /**
  * Send messages to the AI service for chat
+ * When `options.tools` is given, the model may call tools: their results are added to
+ * the conversation and the model is asked again, until it answers with text or
+ * MAX_TOOL_ITERATIONS rounds have passed (the last round offers no tools).
  * @param {Array} messages Array of message objects
- * @param {Object} options Options including channelId
+ * @param {Object} options Options including channelId, optionally provider and model (see resolveTarget),
+ *   the promptContext the system prompt is rendered for (see promptTemplate), tools plus
+ *   the toolContext passed to them, and onQueued, called when the request has to wait for
+ *   a busy provider (AI_MAX_CONCURRENCY).
  * @returns {Promise<string>} AI response
  */
 const chat = async (messages, options = {}) => {
-  if (!currentService || !currentService.isAvailable()) {
+  const services = getUsableServices();
+  if (services.length === 0) {
     logger.error(
-      `No AI service available or ${config.AI_SERVICE} is not ready. Cannot process chat.`
+      `No AI service available or ${config.AI_SERVICES.join(
+        ", "
+      )} not ready. Cannot process chat.`
     );
     return null;
   }
 
-  // Extract channelId from the original options if available
-  const serviceOptions = { ...options };
+  const target = resolveTarget(services, options);
+  const tools = options.tools || [];
+  const conversation = messages.map((message) => ({ ...message }));
+  const descriptions = new Map();
 
-  // Add debug logging
-  logger.log(
-    `AIServiceProvider: Chat request with options: ${JSON.stringify({
-      channelId: serviceOptions.channelId,
-      model:
-        options.model ||
-        (config.AI_SERVICE === "OLLAMA"
-          ? config.OLLAMA_MODEL
-          : config.GEMINI_MODEL),
-    })}`
-  );
+  for (let iteration = 0; ; iteration++) {
+    const turnOptions = {
+      ...options,
+      tools: iteration < config.MAX_TOOL_ITERATIONS ? tools : [],
+    };
+    const turn = await runWithFailover(
+      target.services,
+      "chat",
+      (provider, messagesCopy) => {
+        const model = target.modelFor(provider);
 
-  // Pass to the appropriate service
-  return currentService.chat(
-    messages,
-    options.model ||
-      (config.AI_SERVICE === "OLLAMA"
-        ? config.OLLAMA_MODEL
-        : config.GEMINI_MODEL),
-    serviceOptions
-  );
+        // Add debug logging
+        logger.log(
+          `AIServiceProvider: Chat request with options: ${JSON.stringify({
+            service: provider.name,
+            channelId: options.channelId,
+            model,
+            tools: turnOptions.tools.length,
+          })}`
+        );
+
+        return requestTurn(provider, messagesCopy, model, turnOptions);
+      },
+      {
+        // Providers may adjust messages in place, so every attempt gets its own copy.
+        // Images are described before waiting for a slot, which describing may need too.
+        prepare: (provider) =>
+          adaptImages(
+            provider,
+            target.modelFor(provider),
+            conversation,
+            descriptions
+          ),
+        onQueued: options.onQueued,
+      }
+    );
+
+    if (!turn) {
+      logger.error("All configured AI services failed to answer the chat.");
+      return null;
+    }
+    if (turn.toolCalls.length === 0) {
+      return turn.content;
+    }
+
+    conversation.push({
+      role: "assistant",
+      content: turn.content,
+      toolCalls: turn.toolCalls,
+    });
+    for (const call of turn.toolCalls) {
+      conversation.push({
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content: await runToolCall(call, tools, options.toolContext),
+      });
+    }
+  }
 };
 
-const describeImage = async (base64Image, prompt) => {
-  if (!currentService || !currentService.isAvailable()) {
+/**
+ * Yields the whole reply of a provider that cannot stream as a single chunk.
+ * @param {Promise<string|null>} responsePromise The pending chat request.
+ * @returns {AsyncGenerator<string>} At most one chunk.
+ */
+const streamFromChat = async function* (responsePromise) {
+  const response = await responsePromise;
+  if (response) yield response;
+};
+
+/**
+ * Streams a chat response, failing over like chat does. A provider only counts as
+ * answering once its first chunk arrives; after that the stream is committed to it,
+ * because part of the reply may already be visible to the user.
+ * With tools, the tool rounds run through chat and the final reply arrives as one chunk.
+ * @param {Array} messages Array of message objects
+ * @param {Object} options Same as chat.
+ * @returns {AsyncGenerator<string>} Text deltas. Yields nothing if every service failed.
+ */
+const chatStream = async function* (messages, options = {}) {
+  if (options.tools && options.tools.length > 0) {
+    yield* streamFromChat(chat(messages, options));
+    return;
+  }
+
+  const services = getUsableServices();
+  if (services.length === 0) {
     logger.error(
-      `No AI service available or ${config.AI_SERVICE} is not ready. Cannot process image description.`
+      `No AI service available or ${config.AI_SERVICES.join(
+        ", "
+      )} not ready. Cannot process chat stream.`
     );
-    return null;
+    return;
   }
-  if (!currentService.describeImage) {
+
+  const target = resolveTarget(services, options);
+  const descriptions = new Map();
+
+  for (const service of target.services) {
+    const { provider, breaker } = service;
+    const model = target.modelFor(provider);
+    logger.log(
+      `AIServiceProvider: Chat stream request with options: ${JSON.stringify({
+        service: provider.name,
+        channelId: options.channelId,
+        model,
+      })}`
+    );
+
+    const messagesCopy = await adaptImages(
+      provider,
+      model,
+      messages,
+      descriptions
+    );
+    // The slot is held until the stream ends, since the model is busy until then
+    const release = await service.limiter.acquire(
+      whenQueued(provider, options.onQueued)
+    );
+    // Set when a timed-out stream takes over releasing the slot
+    let releasedByStream = false;
+    try {
+      const providerOptions = {
+        ...options,
+        systemPrompt: resolveSystemPrompt(provider, options),
+      };
+      const stream = provider.chatStream
+        ? provider.chatStream(messagesCopy, model, providerOptions)
+        : streamFromChat(provider.chat(messagesCopy, model, providerOptions));
+      const iterator = stream[Symbol.asyncIterator]();
+
+      let first;
+      try {
+        first = await withTimeout(
+          iterator.next(),
+          `${provider.name} chat stream`
+        );
+      } catch (error) {
+        logger.warn(
+          `${provider.name} failed during chat stream:`,
+          error.message
+        );
+        // The timeout cannot stop the request: closing the stream waits for it, and
+        // only then is the slot released, as runWithFailover does
+        releasedByStream = true;
+        Promise.resolve(iterator.return && iterator.return())
+          .catch(() => {})
+          .finally(release);
+      }
+
+      if (!first || first.done || !first.value) {
+        if (first) logger.warn(`${provider.name} streamed no result.`);
+        recordFailure(service);
+        continue;
+      }
+
+      breaker.recordSuccess();
+      yield first.value;
+      for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) return;
+        if (value) yield value;
+      }
+    } finally {
+      if (!releasedByStream) release();
+    }
+  }
+
+  logger.error("All configured AI services failed to stream the chat.");
+};
+
+const describeImage = async (base64Image, prompt) => {
+  const services = getUsableServices(
+    (provider) =>
+      !!provider.describeImage &&
+      !!(provider.capabilities && provider.capabilities.vision)
+  );
+  if (services.length === 0) {
     logger.warn(
-      `${config.AI_SERVICE} does not support describeImage function.`
+      `None of ${config.AI_SERVICES.join(
+        ", "
+      )} can describe images right now.`
     );
     return `[Image description not supported by ${config.AI_SERVICE}]`;
   }
@@ -109,32 +636,127 @@ const describeImage = async (base64Image, prompt) => {
   const servicePrompt = config.IMAGE_READER_PROMPT
     ? config.IMAGE_READER_PROMPT
     : "Describe this image.";
-  return currentService.describeImage(base64Image, prompt || servicePrompt);
+  return runWithFailover(services, "image description", (provider) =>
+    provider.describeImage(base64Image, prompt || servicePrompt)
+  );
 };
 
-const isImageProcessingAvailable = () => {
-  if (
-    !currentService ||
-    !currentService.isAvailable() ||
-    !currentService.describeImage
-  ) {
-    return false;
-  }
-  if (config.AI_SERVICE === "OLLAMA") {
-    return !!config.IMAGE_READER_MODEL;
-  }
-  if (config.AI_SERVICE === "GEMINI") {
-    // Add logic here if Gemini has specific model requirements for vision
-    // e.g., return config.GEMINI_MODEL.includes("vision");
-    return true; // Placeholder, assume Gemini can if service is active
+/**
+ * Gets the services whose provider can embed text with the current configuration.
+ * @returns {Array<{provider: object, breaker: object}>} The usable services.
+ */
+const getEmbeddingServices = () =>
+  getUsableServices(
+    (provider) =>
+      !!provider.embed &&
+      !!(provider.capabilities && provider.capabilities.embeddings)
+  );
+
+/**
+ * Embeds texts, failing over between the providers that support embeddings.
+ * Vectors of different models cannot be compared, so the result names the model.
+ * @param {string|string[]} input The text(s) to embed.
+ * @returns {Promise<{model: string, vectors: number[][]}|null>} The vectors and
+ *   "PROVIDER:model" that made them, or null if no provider could embed the input.
+ */
+const embed = async (input) => {
+  const services = getEmbeddingServices();
+  if (services.length === 0) {
+    logger.warn(
+      `None of ${config.AI_SERVICES.join(", ")} can embed text right now.`
+    );
+    return null;
   }
-  return false;
+  return runWithFailover(services, "embedding", async (provider) => {
+    const vectors = await provider.embed(input);
+    if (!vectors || vectors.length === 0) return null;
+    const model = provider.getEmbeddingModel
+      ? provider.getEmbeddingModel()
+      : "default";
+    return { model: `${provider.name}:${model}`, vectors };
+  });
 };
 
+const isEmbeddingAvailable = () => getEmbeddingServices().length > 0;
+
+const isImageProcessingAvailable = () =>
+  getUsableServices(
+    (provider) =>
+      !!provider.describeImage &&
+      !!(provider.capabilities && provider.capabilities.vision)
+  ).length > 0;
+
+/**
+ * Gets the name of the service that would answer the next request.
+ * @returns {string} The provider name, or the configured primary if none is usable.
+ */
+const getCurrentServiceType = () => {
+  const [service] = getUsableServices();
+  return service ? service.provider.name : config.AI_SERVICE;
+};
+
+/**
+ * Gets the configuration lines the serving provider reports about itself.
+ * @returns {Array<[string, string]>} Label/value pairs, empty if no provider is active.
+ */
+const describeCurrentService = () => {
+  const [service] = getUsableServices();
+  return service && service.provider.describeConfig
+    ? service.provider.describeConfig()
+    : [];
+};
+
+/**
+ * Gets the names of the providers in the failover chain.
+ * @returns {string[]} Provider names, primary first.
+ */
+const getActiveServiceNames = () =>
+  serviceChain.map(({ provider }) => provider.name);
+
+/**
+ * Lists the models an active provider can serve.
+ * @param {string} serviceName The provider name.
+ * @returns {Promise<string[]|null>} Model names, or null if the provider cannot list them.
+ */
+const listModels = async (serviceName) => {
+  const service = serviceChain.find(
+    ({ provider }) => provider.name === String(serviceName).toUpperCase()
+  );
+  if (!service || !service.provider.listModels) return null;
+  return service.provider.listModels();
+};
+
+/**
+ * Reports the health of every service in the failover chain.
+ * @returns {Array<{name: string, available: boolean, trippedUntil: number|null, failures: number}>}
+ */
+const getServiceChainStatus = () =>
+  serviceChain.map(({ provider, breaker }) => {
+    const { failures, openUntil } = breaker.getState();
+    return {
+      name: provider.name,
+      available: provider.isAvailable(),
+      trippedUntil: breaker.isOpen() ? openUntil : null,
+      failures,
+    };
+  });
+
 module.exports = {
   initialize,
   chat,
+  chatStream,
   describeImage,
   isImageProcessingAvailable,
-  getCurrentServiceType: () => config.AI_SERVICE,
+  supportsImageInput,
+  embed,
+  isEmbeddingAvailable,
+  describeCurrentService,
+  getServiceChainStatus,
+  getActiveServiceNames,
+  listModels,
+  getDefaultModel,
+  getPromptTokenBudget,
+  getCurrentServiceType,
+  registerProvider: providerRegistry.registerProvider,
+  listProviders: providerRegistry.listProviders,
 };
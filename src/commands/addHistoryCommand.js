@@ -7,6 +7,18 @@ module.exports = {
   name: "addhistory",
   description:
     "Adds recent messages from the channel to the conversation history.",
+  category: "History",
+  usage: ["addhistory <count>"],
+  examples: ["addhistory 20"],
+  permissions: ["ManageMessages"],
+  args: [
+    {
+      name: "count",
+      description: "How many recent messages to add (1-200)",
+      type: "integer",
+      required: true,
+    },
+  ],
   /**
    * Executes the addhistory command.
    * @param {import('discord.js').Message} message The Discord message object.
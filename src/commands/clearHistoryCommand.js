@@ -2,10 +2,17 @@
 const config = require("../../config");
 const logger = require("../logger");
 const historyManager = require("../utils/historyManager");
+const historySummarizer = require("../utils/historySummarizer");
+const memoryManager = require("../utils/memoryManager");
 
 module.exports = {
   name: "clearhistory",
-  description: "Clears the conversation history for the current channel.",
+  description:
+    "Clears the conversation history and long-term memories for the current channel.",
+  aliases: ["clear"],
+  category: "History",
+  usage: ["clearhistory"],
+  permissions: ["ManageMessages"],
   /**
    * Executes the clearhistory command.
    * @param {import('discord.js').Message} message The Discord message object.
@@ -28,7 +35,10 @@ module.exports = {
     }
     const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
 
-    if (historyManager.clearChannelHistory(channelId)) {
+    const clearedHistory = historyManager.clearChannelHistory(channelId); // Summary included
+    historySummarizer.clearChannel(channelId);
+    const clearedMemories = memoryManager.clearMemories(channelId);
+    if (clearedHistory || clearedMemories) {
       await message.channel.send(
         "Conversation history for this chat has been cleared."
       );
@@ -0,0 +1,81 @@
+// src/commands/commandContext.js
+// Lets command modules serve both text commands and slash commands through one message-like object.
+
+const { Collection, MessageFlags } = require("discord.js");
+
+/**
+ * What a command sees of its invocation. A text command gets the Message itself; a slash
+ * command gets an object with the same surface, whose replies become interaction responses.
+ * @typedef {object} CommandContext
+ * @property {string} id The message or interaction ID (a snowflake, so it also marks the time).
+ * @property {import('discord.js').User} author Who ran the command.
+ * @property {import('discord.js').GuildMember|null} member The author as a guild member.
+ * @property {import('discord.js').Guild|null} guild The guild (null in DMs).
+ * @property {string|null} guildId The guild ID.
+ * @property {import('discord.js').Client} client The client.
+ * @property {{id: string, type: number, name?: string, messages: import('discord.js').MessageManager, send: Function, sendTyping: () => Promise<void>}} channel
+ *   Where the command ran; `send` posts a response.
+ * @property {import('discord.js').TextBasedChannel} [sourceChannel] The real channel behind
+ *   `channel` in a slash command, e.g. for its permission overwrites (a Message's `channel`
+ *   already is the real one).
+ * @property {import('discord.js').Collection<string, import('discord.js').Attachment>} attachments Attached files.
+ * @property {boolean} [ephemeral] True when only the author sees the responses.
+ * @property {(content: string|object) => Promise<any>} reply Responds to the command.
+ */
+
+/**
+ * Wraps a slash command interaction. The interaction must already be deferred: the first
+ * response replaces the "thinking..." state, later ones are follow-ups.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction The interaction.
+ * @param {import('discord.js').TextBasedChannel} channel The channel it was used in.
+ * @param {object} [options]
+ * @param {boolean} [options.ephemeral] Whether the responses are only visible to the user.
+ * @returns {CommandContext & {hasResponded: () => boolean}} The context.
+ */
+const fromInteraction = (interaction, channel, { ephemeral = false } = {}) => {
+  let responded = false;
+  const respond = (content) => {
+    const payload = typeof content === "string" ? { content } : content;
+    if (!responded) {
+      responded = true;
+      return interaction.editReply(payload);
+    }
+    return interaction.followUp({
+      ...payload,
+      ...(ephemeral && { flags: MessageFlags.Ephemeral }),
+    });
+  };
+
+  const attachments = new Collection();
+  for (const option of interaction.options.data) {
+    if (option.attachment) {
+      attachments.set(option.attachment.id, option.attachment);
+    }
+  }
+
+  return {
+    id: interaction.id,
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    guildId: interaction.guildId,
+    client: interaction.client,
+    channel: {
+      id: channel.id,
+      type: channel.type,
+      name: channel.name,
+      messages: channel.messages,
+      send: respond,
+      sendTyping: async () => {}, // The deferred reply already shows that the bot is working
+    },
+    sourceChannel: channel,
+    attachments,
+    ephemeral,
+    reply: respond,
+    hasResponded: () => responded,
+  };
+};
+
+module.exports = {
+  fromInteraction,
+};
@@ -1,22 +1,136 @@
 // src/commands/commandHandler.js
-// Parses messages for commands and executes them.
+// Parses messages and slash commands for commands and executes them.
 
+const fs = require("fs");
+const path = require("path");
+const {
+  ApplicationCommandOptionType,
+  InteractionContextType,
+  MessageFlags,
+} = require("discord.js");
 const config = require("../../config");
 const logger = require("../logger");
-const infoCommand = require("./infoCommand");
-const addHistoryCommand = require("./addHistoryCommand");
-const clearHistoryCommand = require("./clearHistoryCommand");
-const inputCommand = require("./inputCommand");
+const commandContext = require("./commandContext");
+const commandPermissions = require("./commandPermissions");
 const { client } = require("../discordClient"); // For passing client to commands if needed
 
-// A map of command names to their handler functions/modules
-const commands = {
-  info: infoCommand,
-  addhistory: addHistoryCommand,
-  clearhistory: clearHistoryCommand,
-  input: inputCommand,
-  // Add more commands here
-  // 'help': helpCommand,
+// Command modules, by name and by alias. Every module in this directory that exports
+// `name`, `description` and `execute` is a command; the others are helpers.
+// Optional metadata:
+// - `aliases`: other names for the text command.
+// - `usage`: how to call it, without the prefix (one string per form).
+// - `examples`: example calls, without the prefix.
+// - `category`: heading it is listed under in `help`.
+// - `args`: its slash command options, in the order of the text arguments.
+// - `ephemeral`: slash command responses are only visible to the user.
+// - `permissions`/`ownerOnly`: who may run it (see commandPermissions).
+const commands = new Map();
+const aliases = new Map();
+
+/**
+ * Loads the command modules in src/commands/, the way main.js loads event handlers.
+ */
+const loadCommands = () => {
+  const files = fs
+    .readdirSync(__dirname)
+    .filter(
+      (file) => file.endsWith(".js") && file !== path.basename(__filename)
+    );
+  for (const file of files) {
+    const command = require(path.join(__dirname, file));
+    if (!command.name || !command.description || !command.execute) {
+      continue; // A helper module, not a command
+    }
+    if (commands.has(command.name)) {
+      logger.warn(`Duplicate command "${command.name}" in ${file}, skipping.`);
+      continue;
+    }
+    commands.set(command.name, command);
+    for (const alias of command.aliases || []) {
+      if (commands.has(alias) || aliases.has(alias)) {
+        logger.warn(`Alias "${alias}" of ${command.name} is taken, skipping.`);
+        continue;
+      }
+      aliases.set(alias, command.name);
+    }
+    logger.debug(`Registered command: ${command.name} from ${file}`);
+  }
+};
+loadCommands();
+
+/**
+ * Finds a command by its name or one of its aliases.
+ * @param {string} name The name or alias (lower case).
+ * @returns {object|undefined} The command module.
+ */
+const getCommand = (name) =>
+  commands.get(name) || commands.get(aliases.get(name));
+
+// What commands get to look up other commands (e.g. for `help`)
+const registry = {
+  get: getCommand,
+  list: () => [...commands.values()],
+};
+
+// Types of the options in a command's `args` schema
+const OPTION_TYPES = {
+  string: ApplicationCommandOptionType.String,
+  integer: ApplicationCommandOptionType.Integer,
+  attachment: ApplicationCommandOptionType.Attachment,
+};
+
+// Discord's limit for command and option descriptions
+const MAX_DESCRIPTION_LENGTH = 100;
+
+/**
+ * Shortens a description to Discord's limit.
+ * @param {string} description The description.
+ * @returns {string} The description, cut with "..." if it was too long.
+ */
+const toSlashDescription = (description) =>
+  description.length > MAX_DESCRIPTION_LENGTH
+    ? `${description.substring(0, MAX_DESCRIPTION_LENGTH - 3)}...`
+    : description;
+
+/**
+ * Runs a command if its author is allowed to, and answers with an error message if it
+ * fails. Text and slash commands both end up here.
+ * @param {object} command The command module.
+ * @param {import('./commandContext').CommandContext} context The invocation (a Message for text commands).
+ * @param {string[]} args Command arguments.
+ */
+const runCommand = async (command, context, args) => {
+  logger.log(
+    `Command received: ${command.name} with args: ${args.join(", ")} by ${
+      context.author.tag
+    }`
+  );
+  const { allowed, reason } = commandPermissions.checkPermissions(
+    command,
+    context,
+    args
+  );
+  if (!allowed) {
+    logger.warn(
+      `Denied command ${command.name} for ${context.author.tag} (${context.author.id}): ${reason}`
+    );
+    await context.reply({ content: reason });
+    return;
+  }
+  try {
+    // Pass the context, args, and potentially other useful things like the client or config
+    await command.execute(context, args, {
+      client,
+      config,
+      logger,
+      commands: registry,
+    });
+  } catch (error) {
+    logger.error(`Error executing command ${command.name}:`, error);
+    await context.reply({
+      content: "Oops! I think you must fix that command.",
+    });
+  }
 };
 
 /**
@@ -34,39 +148,160 @@ const handleCommand = async (message) => {
     .trim()
     .split(/\s+/);
   const commandName = args.shift().toLowerCase();
-
-  const command = commands[commandName];
+  const command = getCommand(commandName);
 
   if (command) {
-    logger.log(
-      `Command received: ${commandName} with args: ${args.join(", ")} by ${
-        message.author.tag
-      }`
-    );
-    try {
-      // Pass the message, args, and potentially other useful things like the client or config
-      await command.execute(message, args, { client, config, logger });
-      return true; // Command was processed
-    } catch (error) {
-      logger.error(`Error executing command ${commandName}:`, error);
-      await message.reply({
-        content: "Oops! I think you must fix that command.",
-      });
-      return true; // Attempted to process a command, even if it failed
-    }
+    await runCommand(command, message, args);
+    return true; // Command was processed (even if it failed)
   } else if (commandName) {
     // It was a command prefix but unknown command
     logger.log(
       `Unknown command received: ${commandName} by ${message.author.tag}`
     );
     await message.reply({
-      content: `I don't know the command "${commandName}". Try \`${config.COMMAND_PREFIX} info\`, \`${config.COMMAND_PREFIX} addhistory N\`, or \`${config.COMMAND_PREFIX} clearhistory\`.`,
+      content: `I don't know the command "${commandName}". Try \`${config.COMMAND_PREFIX} help\` for a list.`,
     });
     return true; // Recognized as an attempt to use a command
   }
   return false; // No valid command name found after prefix
 };
 
+/**
+ * Whether a user may use the bot in a DM: ALLOW_PRIVATE_MESSAGES must be on and, if
+ * ONLY_THESE_DM_CHATS is set, the user's DM must be one of them.
+ * @param {string} userId The user ID.
+ * @returns {boolean} True if the DM is allowed.
+ */
+const isDMAllowed = (userId) =>
+  config.ALLOW_PRIVATE_MESSAGES === true &&
+  (!config.ONLY_THESE_DM_CHATS ||
+    config.ONLY_THESE_DM_CHATS.some((c) => `dm_${userId}`.includes(c)));
+
+/**
+ * Builds the application command definitions from each command's `args` schema.
+ * @returns {object[]} The definitions, ready for `client.application.commands.set`.
+ */
+const getSlashCommandData = () =>
+  registry.list().map((command) => ({
+    name: command.name,
+    description: toSlashDescription(command.description),
+    options: (command.args || []).map((arg) => ({
+      type: OPTION_TYPES[arg.type || "string"],
+      name: arg.name,
+      description: toSlashDescription(arg.description),
+      required: Boolean(arg.required),
+      ...(arg.choices && {
+        choices: arg.choices.map((choice) => ({ name: choice, value: choice })),
+      }),
+    })),
+  }));
+
+/**
+ * Registers the slash commands with Discord: in SLASH_COMMANDS_GUILD_ID if set (available
+ * right away, handy for testing), otherwise globally.
+ * @param {import('discord.js').Client} discordClient The ready client.
+ */
+const registerSlashCommands = async (discordClient) => {
+  const data = getSlashCommandData();
+  try {
+    if (config.SLASH_COMMANDS_GUILD_ID) {
+      await discordClient.application.commands.set(
+        data,
+        config.SLASH_COMMANDS_GUILD_ID
+      );
+    } else {
+      // Without private messages the commands are not offered in DMs at all
+      // (guild commands never are)
+      const contexts = config.ALLOW_PRIVATE_MESSAGES
+        ? [InteractionContextType.Guild, InteractionContextType.BotDM]
+        : [InteractionContextType.Guild];
+      await discordClient.application.commands.set(
+        data.map((definition) => ({ ...definition, contexts }))
+      );
+    }
+    logger.log(
+      `Registered ${data.length} slash commands${
+        config.SLASH_COMMANDS_GUILD_ID
+          ? ` in guild ${config.SLASH_COMMANDS_GUILD_ID}`
+          : ""
+      }.`
+    );
+  } catch (error) {
+    logger.error("Error registering slash commands:", error);
+  }
+};
+
+/**
+ * Turns a slash command's options into the argument list the text command would get.
+ * String options are split into words like typed arguments, except free text (`rest: true`),
+ * which stays one argument with its line breaks and spacing; attachments are not
+ * arguments (they are in the context's `attachments`).
+ * @param {object} command The command module.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction The interaction.
+ * @returns {string[]} The arguments.
+ */
+const getInteractionArgs = (command, interaction) =>
+  (command.args || [])
+    .filter((arg) => arg.type !== "attachment")
+    .map((arg) => ({ arg, option: interaction.options.get(arg.name) }))
+    .filter(({ option }) => option && String(option.value).trim() !== "")
+    .flatMap(({ arg, option }) => {
+      const value = String(option.value).trim();
+      return arg.rest ? [value] : value.split(/\s+/);
+    });
+
+/**
+ * Handles a slash command: runs the command module with the same name.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction The interaction.
+ */
+const handleInteraction = async (interaction) => {
+  const command = commands.get(interaction.commandName);
+  if (!command) {
+    logger.warn(`Unknown slash command: ${interaction.commandName}`);
+    await interaction.reply({
+      content: "I don't know that command anymore.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // The DM policy applies to slash commands as it does to messages
+  if (!interaction.guildId && !isDMAllowed(interaction.user.id)) {
+    logger.debug(
+      `Ignoring slash command /${command.name} from ${interaction.user.tag} - DMs are disabled.`
+    );
+    await interaction.reply({
+      content: "I can't be used in direct messages.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Commands may take longer than the three seconds Discord waits for an answer
+  const ephemeral = Boolean(command.ephemeral);
+  await interaction.deferReply(
+    ephemeral ? { flags: MessageFlags.Ephemeral } : {}
+  );
+  const channel =
+    interaction.channel ||
+    (await interaction.client.channels.fetch(interaction.channelId));
+  const context = commandContext.fromInteraction(interaction, channel, {
+    ephemeral,
+  });
+
+  await runCommand(command, context, getInteractionArgs(command, interaction));
+  if (!context.hasResponded()) {
+    // Nothing to say: remove the "thinking..." placeholder
+    await interaction
+      .deleteReply()
+      .catch((error) =>
+        logger.debug("Could not delete the deferred reply:", error.message)
+      );
+  }
+};
+
 module.exports = {
   handleCommand,
+  handleInteraction,
+  registerSlashCommands,
 };
@@ -0,0 +1,144 @@
+// src/commands/commandPermissions.js
+// Checks whether someone may run a command, based on what the command module requires.
+
+const { PermissionFlagsBits } = require("discord.js");
+const config = require("../../config");
+
+/**
+ * Turns a permission flag name into words ("ManageMessages" -> "Manage Messages").
+ * @param {string} permission The flag name.
+ * @returns {string} The readable name.
+ */
+const toReadableName = (permission) =>
+  permission.replace(/([a-z])([A-Z])/g, "$1 $2");
+
+/**
+ * Checks whether a user is one of the bot owners (BOT_OWNER_IDS).
+ * @param {string} userId The user ID.
+ * @returns {boolean} True for an owner.
+ */
+const isOwner = (userId) => config.BOT_OWNER_IDS.includes(userId);
+
+/**
+ * Checks whether a member has one of the admin roles (ADMIN_ROLE_IDS).
+ * @param {import('discord.js').GuildMember|null} member The member.
+ * @returns {boolean} True if they have an admin role.
+ */
+const hasAdminRole = (member) =>
+  Boolean(
+    member &&
+      member.roles &&
+      member.roles.cache &&
+      config.ADMIN_ROLE_IDS.some((roleId) => member.roles.cache.has(roleId))
+  );
+
+/**
+ * Gets a member's permissions in the channel the command was used in, so channel
+ * permission overwrites count (e.g. Manage Messages granted in one channel only).
+ * @param {import('./commandContext').CommandContext} context The invocation.
+ * @returns {import('discord.js').PermissionsBitField|null} The permissions, or null if unknown.
+ */
+const getChannelPermissions = (context) => {
+  const channel = context.sourceChannel || context.channel;
+  if (channel && typeof channel.permissionsFor === "function") {
+    return channel.permissionsFor(context.member);
+  }
+  return context.member.permissions || null;
+};
+
+/**
+ * Checks whether a command may be run.
+ * A command module can require:
+ * - `ownerOnly: true`: only BOT_OWNER_IDS may run it.
+ * - `permissions: ["ManageMessages", ...]`: Discord permissions (names from PermissionFlagsBits)
+ *   the member needs in the channel, in a server. Members with an ADMIN_ROLE_IDS role pass
+ *   too, and in DMs, where the conversation is the user's own, they are not needed.
+ * - `subcommandPermissions: { create: ["ManageMessages"], ... }`: the same, for subcommands
+ *   (the first argument) only; other subcommands need `permissions`, if any.
+ * Bot owners may run every command.
+ * @param {object} command The command module.
+ * @param {import('./commandContext').CommandContext} context The invocation.
+ * @param {string[]} [args] The command arguments, to find the subcommand.
+ * @returns {{allowed: boolean, reason?: string}} Whether it is allowed, and if not, why
+ *   (shown to the user).
+ */
+const checkPermissions = (command, context, args = []) => {
+  if (isOwner(context.author.id)) return { allowed: true };
+  if (command.ownerOnly) {
+    return {
+      allowed: false,
+      reason: "Only the bot owner can use this command.",
+    };
+  }
+
+  const subcommand = (args[0] || "").toLowerCase();
+  const permissions =
+    (command.subcommandPermissions &&
+      command.subcommandPermissions[subcommand]) ||
+    command.permissions ||
+    [];
+  if (permissions.length === 0 || !context.guild) return { allowed: true };
+  if (hasAdminRole(context.member)) return { allowed: true };
+
+  const memberPermissions = context.member
+    ? getChannelPermissions(context)
+    : null;
+  const missing = permissions.filter(
+    (permission) =>
+      !memberPermissions ||
+      !memberPermissions.has(PermissionFlagsBits[permission])
+  );
+  if (missing.length === 0) return { allowed: true };
+  return {
+    allowed: false,
+    reason: `You need the ${missing
+      .map(toReadableName)
+      .join(", ")} permission${
+      missing.length > 1 ? "s" : ""
+    } (or an admin role) to use this command.`,
+  };
+};
+
+/**
+ * Describes a list of required permissions.
+ * @param {string[]} permissions The flag names.
+ * @returns {string} The description.
+ */
+const describePermissionList = (permissions) =>
+  `${permissions.map(toReadableName).join(", ")} permission${
+    permissions.length > 1 ? "s" : ""
+  } or an admin role (in servers)`;
+
+/**
+ * Describes who may run a command, for `help`.
+ * @param {object} command The command module.
+ * @returns {string|null} The requirement, or null if anyone may run it.
+ */
+const describePermissions = (command) => {
+  if (command.ownerOnly) return "bot owners only";
+  const requirements = [];
+  const permissions = command.permissions || [];
+  if (permissions.length > 0) {
+    requirements.push(describePermissionList(permissions));
+  }
+  // Subcommands with the same requirement are listed together
+  const subcommandsByRequirement = new Map();
+  for (const [subcommand, subcommandPermissions] of Object.entries(
+    command.subcommandPermissions || {}
+  )) {
+    const requirement = describePermissionList(subcommandPermissions);
+    subcommandsByRequirement.set(requirement, [
+      ...(subcommandsByRequirement.get(requirement) || []),
+      subcommand,
+    ]);
+  }
+  for (const [requirement, subcommands] of subcommandsByRequirement) {
+    requirements.push(`${subcommands.join(", ")}: ${requirement}`);
+  }
+  return requirements.length > 0 ? requirements.join("; ") : null;
+};
+
+module.exports = {
+  checkPermissions,
+  describePermissions,
+};
@@ -0,0 +1,15 @@
+// src/commands/commandUsage.js
+// Formats the usage strings command modules declare, for usage hints and `help`.
+
+/**
+ * Formats usage forms as inline code with the command prefix.
+ * @param {string[]} forms Usage forms without the prefix (e.g. "persona use <name>").
+ * @param {string} prefix The command prefix (COMMAND_PREFIX).
+ * @returns {string} The forms, comma-separated (e.g. "`!ai persona use <name>`").
+ */
+const formatUsage = (forms, prefix) =>
+  forms.map((form) => `\`${prefix} ${form}\``).join(", ");
+
+module.exports = {
+  formatUsage,
+};
@@ -0,0 +1,208 @@
+// src/commands/guildCommand.js
+// Admin command to show and change this server's configuration (channels, prefix, persona, history, cooldown).
+
+const guildConfigManager = require("../utils/guildConfigManager");
+const personaManager = require("../utils/personaManager");
+const { formatUsage } = require("./commandUsage");
+
+const USAGE = [
+  "guild show",
+  "guild channel add|remove [#channel]",
+  "guild set prefix <text|none>",
+  "guild set persona <name>",
+  "guild set history on|off",
+  "guild set cooldown <ms>",
+  "guild reset <channels|prefix|persona|history|cooldown|all>",
+];
+
+// Setting names used in the command -> fields in data/guilds.json
+const FIELDS = {
+  channels: "channels",
+  prefix: "prefix",
+  persona: "persona",
+  history: "historyMode",
+  cooldown: "cooldownMs",
+};
+
+/**
+ * Parses and checks the value given to `set`.
+ * @param {string} setting The setting name used in the command.
+ * @param {string} value The value as typed.
+ * @returns {{value?: *, error?: string}} The value to store, or why it is invalid.
+ */
+const parseValue = (setting, value) => {
+  if (!value) return { error: `Please give a value for ${setting}.` };
+  if (setting === "prefix") {
+    return { value: value.toLowerCase() === "none" ? "" : value };
+  }
+  if (setting === "persona") {
+    const name = value.toLowerCase();
+    return personaManager.getPersona(name)
+      ? { value: name }
+      : { error: `There is no persona called "${value}".` };
+  }
+  if (setting === "history") {
+    const mode = value.toLowerCase();
+    return guildConfigManager.HISTORY_MODES.includes(mode)
+      ? { value: mode }
+      : {
+          error: `History must be one of: ${guildConfigManager.HISTORY_MODES.join(
+            ", "
+          )}.`,
+        };
+  }
+  if (setting === "cooldown") {
+    const ms = Number(value);
+    return Number.isInteger(ms) && ms >= 0
+      ? { value: ms }
+      : { error: "The cooldown must be a whole number of milliseconds." };
+  }
+  return { error: `Unknown setting "${setting}".` };
+};
+
+/**
+ * Describes the settings that apply in a guild and where each comes from.
+ * @param {import('discord.js').Guild} guild The guild.
+ * @returns {string} The description.
+ */
+const describeSettings = (guild) => {
+  const stored = guildConfigManager.getGuildConfig(guild.id);
+  const settings = guildConfigManager.getGuildSettings(guild.id);
+  const source = (field) => (field in stored ? "server" : "global");
+  return [
+    `Settings for **${guild.name}**:`,
+    `Channels: ${
+      settings.channels.length > 0
+        ? settings.channels.map((id) => `<#${id}>`).join(", ")
+        : "all channels"
+    } (${source("channels")})`,
+    `Prefix: ${
+      settings.prefix ? `\`${settings.prefix}\`` : "none"
+    } (${source("prefix")})`,
+    `Persona: ${settings.persona || "none"} (${source("persona")})`,
+    `History: ${settings.historyMode} (${source("historyMode")})`,
+    `Cooldown: ${settings.cooldownMs} ms (${source("cooldownMs")})`,
+  ].join("\n");
+};
+
+module.exports = {
+  name: "guild",
+  description:
+    "Shows or changes this server's settings: channels, prefix, persona, history and cooldown.",
+  aliases: ["server"],
+  category: "Admin",
+  usage: USAGE,
+  examples: [
+    "guild channel add #ai-chat",
+    "guild set persona support",
+    "guild set history off",
+    "guild reset all",
+  ],
+  args: [
+    {
+      name: "action",
+      description: "What to do (shows the settings if left out)",
+      choices: ["show", "channel", "set", "reset"],
+    },
+    {
+      name: "arguments",
+      description: "e.g. add #channel, prefix ?, history off, persona, all",
+    },
+  ],
+  permissions: ["ManageGuild"],
+  /**
+   * Executes the guild command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger.
+   */
+  async execute(message, args, { config, logger }) {
+    const subcommand = (args[0] || "show").toLowerCase();
+    const usage = `Usage: ${formatUsage(USAGE, config.COMMAND_PREFIX)}`;
+
+    if (!message.guild) {
+      await message.reply("Server settings can only be changed in a server.");
+      return;
+    }
+    const guildId = message.guild.id;
+
+    logger.debug(
+      `Executing 'guild ${args.join(" ")}' command for ${message.author.tag} in guild ${guildId}`
+    );
+
+    if (subcommand === "show") {
+      await message.channel.send(describeSettings(message.guild));
+      return;
+    }
+
+    if (subcommand === "channel") {
+      const action = (args[1] || "").toLowerCase();
+      const channelId = args[2]
+        ? args[2].replace(/\D/g, "") // Accepts <#id> and plain IDs
+        : message.channel.id;
+      const channel = message.guild.channels.cache.get(channelId);
+      if (!["add", "remove"].includes(action) || !channel) {
+        await message.reply(
+          channel ? usage : `There is no channel "${args[2]}" in this server.`
+        );
+        return;
+      }
+      if (action === "add") {
+        await message.channel.send(
+          guildConfigManager.addChannel(guildId, channelId)
+            ? `I now answer in <#${channelId}>.`
+            : `<#${channelId}> is already enabled.`
+        );
+      } else {
+        await message.channel.send(
+          guildConfigManager.removeChannel(guildId, channelId)
+            ? `I no longer answer in <#${channelId}>.`
+            : `<#${channelId}> was not enabled.`
+        );
+      }
+      return;
+    }
+
+    if (subcommand === "set") {
+      const setting = (args[1] || "").toLowerCase();
+      if (!FIELDS[setting] || setting === "channels") {
+        await message.reply(usage);
+        return;
+      }
+      const { value, error } = parseValue(setting, args.slice(2).join(" "));
+      if (error) {
+        await message.reply(error);
+        return;
+      }
+      if (guildConfigManager.setGuildSetting(guildId, FIELDS[setting], value)) {
+        await message.channel.send(
+          `Saved. ${describeSettings(message.guild)}`
+        );
+      } else {
+        await message.channel.send("Sorry, I couldn't save the setting.");
+      }
+      return;
+    }
+
+    if (subcommand === "reset") {
+      const setting = (args[1] || "").toLowerCase();
+      const settings =
+        setting === "all" ? Object.keys(FIELDS) : FIELDS[setting] && [setting];
+      if (!settings) {
+        await message.reply(usage);
+        return;
+      }
+      const cleared = settings.filter((name) =>
+        guildConfigManager.clearGuildSetting(guildId, FIELDS[name])
+      );
+      await message.channel.send(
+        cleared.length > 0
+          ? `Back to the global configuration: ${cleared.join(", ")}.`
+          : "Nothing to reset; the global configuration already applies."
+      );
+      return;
+    }
+
+    await message.reply(usage);
+  },
+};
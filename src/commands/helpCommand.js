@@ -0,0 +1,125 @@
+// src/commands/helpCommand.js
+// Command that lists the commands, or explains one, from the metadata the command modules declare.
+
+const messageUtils = require("../utils/messageUtils");
+const { describePermissions } = require("./commandPermissions");
+const { formatUsage } = require("./commandUsage");
+
+// Heading for commands that do not declare a category
+const DEFAULT_CATEGORY = "Other";
+
+/**
+ * Lists the commands grouped by category.
+ * @param {object[]} commands The command modules.
+ * @param {object} config The configuration (for the prefix and SLASH_COMMANDS).
+ * @returns {string} The list.
+ */
+const describeCommands = (commands, config) => {
+  const prefix = config.COMMAND_PREFIX;
+  const categories = new Map();
+  for (const command of commands) {
+    const category = command.category || DEFAULT_CATEGORY;
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(command);
+  }
+  const sections = [...categories.keys()].sort().map((category) =>
+    [
+      `**${category}**`,
+      ...categories
+        .get(category)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(
+          (command) => `\`${prefix} ${command.name}\` - ${command.description}`
+        ),
+    ].join("\n")
+  );
+  return [
+    config.SLASH_COMMANDS
+      ? "**Commands** (also available as /slash commands)"
+      : "**Commands**",
+    ...sections,
+    `Use \`${prefix} help <command>\` for details.`,
+  ].join("\n\n");
+};
+
+/**
+ * Explains one command: usage, examples, aliases, slash command options and requirements.
+ * @param {object} command The command module.
+ * @param {object} config The configuration (for the prefix and SLASH_COMMANDS).
+ * @returns {string} The explanation.
+ */
+const describeCommand = (command, config) => {
+  const prefix = config.COMMAND_PREFIX;
+  const lines = [`**${prefix} ${command.name}**`, command.description];
+  if (command.usage && command.usage.length > 0) {
+    lines.push(`Usage: ${formatUsage(command.usage, prefix)}`);
+  }
+  if (command.examples && command.examples.length > 0) {
+    lines.push(
+      "Examples:",
+      ...command.examples.map((example) => `- \`${prefix} ${example}\``)
+    );
+  }
+  if (command.aliases && command.aliases.length > 0) {
+    lines.push(`Aliases: ${command.aliases.join(", ")}`);
+  }
+  if (config.SLASH_COMMANDS) {
+    const options = (command.args || []).map(
+      (arg) => `${arg.name}${arg.required ? "" : " (optional)"}`
+    );
+    lines.push(
+      `Slash command: \`/${command.name}\`${
+        options.length > 0 ? ` with ${options.join(", ")}` : ""
+      }`
+    );
+  }
+  const requirement = describePermissions(command);
+  if (requirement) lines.push(`Requires: ${requirement}`);
+  return lines.join("\n");
+};
+
+module.exports = {
+  name: "help",
+  description: "Lists the commands, or explains one.",
+  aliases: ["commands"],
+  category: "General",
+  usage: ["help [command]"],
+  examples: ["help", "help persona"],
+  args: [
+    {
+      name: "command",
+      description: "The command to explain (lists all of them if left out)",
+    },
+  ],
+  /**
+   * Executes the help command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger and commands.
+   */
+  async execute(message, args, { config, logger, commands }) {
+    const name = (args[0] || "").toLowerCase();
+    logger.debug(`Executing 'help ${name}' command for ${message.author.tag}`);
+
+    let text;
+    if (name) {
+      const command = commands.get(name);
+      if (!command) {
+        await message.reply(
+          `I don't know the command "${name}". Try \`${config.COMMAND_PREFIX} help\` for a list.`
+        );
+        return;
+      }
+      text = describeCommand(command, config);
+    } else {
+      text = describeCommands(commands.list(), config);
+    }
+
+    for (const chunk of messageUtils.splitMessage(
+      text,
+      config.MESSAGE_CHUNK_SIZE
+    )) {
+      await message.channel.send(chunk);
+    }
+  },
+};
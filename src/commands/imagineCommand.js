@@ -0,0 +1,119 @@
+// src/commands/imagineCommand.js
+// Command to draw an image with the local Stable Diffusion server.
+
+const imageGenerationService = require("../services/imageGenerationService");
+const imageGenerator = require("../utils/imageGenerator");
+const messageUtils = require("../utils/messageUtils");
+const { formatUsage } = require("./commandUsage");
+
+const USAGE = ['imagine [--size WxH] [--steps N] [--negative "text"] <prompt>'];
+
+/**
+ * Parses `[--size WxH] [--steps N] [--negative "text"] <prompt>`. Flags may appear anywhere.
+ * @param {string[]} args Command arguments.
+ * @returns {{request: object, error: string|null}} The request fields, or why they are invalid.
+ */
+const parseArgs = (args) => {
+  const words = messageUtils.tokenizeArgs(args);
+  const request = {};
+  const promptWords = [];
+  for (let i = 0; i < words.length; i++) {
+    const flag = words[i].toLowerCase();
+    if (flag === "--size") {
+      const size = /^(\d+)x(\d+)$/i.exec(words[++i] || "");
+      if (!size) return { request, error: "Use --size like 768x512." };
+      request.width = parseInt(size[1], 10);
+      request.height = parseInt(size[2], 10);
+    } else if (flag === "--steps") {
+      request.steps = parseInt(words[++i], 10);
+      if (!request.steps) return { request, error: "Use --steps like 30." };
+    } else if (flag === "--negative" || flag === "--no") {
+      request.negativePrompt = words[++i] || "";
+    } else {
+      promptWords.push(words[i]);
+    }
+  }
+  request.prompt = messageUtils.joinWords(promptWords);
+  return { request, error: null };
+};
+
+module.exports = {
+  name: "imagine",
+  description: "Draws an image with the local Stable Diffusion server.",
+  aliases: ["draw"],
+  category: "Images",
+  usage: USAGE,
+  examples: [
+    "imagine a lighthouse at dusk, oil painting",
+    'imagine --size 768x512 --steps 30 --negative "blurry, text" a cat in a space suit',
+  ],
+  args: [
+    {
+      name: "prompt",
+      description: 'What to draw; may include --size WxH, --steps N, --negative "text"',
+      required: true,
+      rest: true,
+    },
+  ],
+  /**
+   * Executes the imagine command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger.
+   */
+  async execute(message, args, { config, logger }) {
+    const isDM = message.channel.type === 1;
+    const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
+    const usage = `Usage: ${formatUsage(USAGE, config.COMMAND_PREFIX)}`;
+
+    logger.debug(
+      `Executing 'imagine' command for ${message.author.tag} in ${channelId}`
+    );
+
+    if (!imageGenerationService.isAvailable()) {
+      await message.reply(
+        "Image generation is not available: no Stable Diffusion server is configured (IMAGE_GEN_URL)."
+      );
+      return;
+    }
+
+    const parsed = parseArgs(args);
+    const { request, error } = parsed.error
+      ? parsed
+      : imageGenerator.resolveRequest(parsed.request);
+    if (error) {
+      await message.reply(`${error}\n${usage}`);
+      return;
+    }
+
+    const queued = imageGenerator.queueImage(message.author.id, request);
+    if (!queued) {
+      await message.reply(
+        `You already have ${config.IMAGE_GEN_MAX_QUEUED_PER_USER} image(s) in the queue. Please wait for them first.`
+      );
+      return;
+    }
+    if (queued.jobsAhead > 0) {
+      await message.reply(
+        `Queued! ${queued.jobsAhead} image(s) ahead of yours.`
+      );
+    } else {
+      await message.channel.sendTyping();
+    }
+
+    try {
+      const image = await queued.image;
+      await imageGenerator.postImage(message.channel, channelId, image, {
+        prompt: request.prompt,
+        requester: message.author.globalName || message.author.username,
+        replyTo: message,
+      });
+    } catch (generationError) {
+      logger.error(
+        `Error generating image for ${message.author.tag}:`,
+        generationError
+      );
+      await message.reply("Sorry, I couldn't draw that right now.");
+    }
+  },
+};
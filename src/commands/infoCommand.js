@@ -7,6 +7,9 @@ const aiServiceProvider = require("../aiServiceProvider");
 module.exports = {
   name: "info",
   description: "Displays information about the bot.",
+  aliases: ["about", "status"],
+  category: "General",
+  usage: ["info"],
   /**
    * Executes the info command.
    * @param {import('discord.js').Message} message The Discord message object.
@@ -18,31 +21,38 @@ module.exports = {
     const channelId = message.channel.id;
     const channelHistory = historyManager.getChannelHistory(channelId);
 
-    let ollamaInfo = "Ollama Service Not Active";
-    if (config.AI_SERVICE === "OLLAMA") {
-      ollamaInfo = `
-    Main Ollama Model:     ${config.OLLAMA_MODEL || "Not set"}
-    Image Ollama Model:    ${config.IMAGE_READER_MODEL || "Not set (disabled)"}
-    Ollama Host:           ${config.OLLAMA_HOST}`;
-    }
+    const serviceInfo = aiServiceProvider
+      .describeCurrentService()
+      .map(([label, value]) => `    ${`${label}:`.padEnd(23)}${value}`)
+      .join("\n");
 
-    let geminiInfo = "- Service Not Active";
-    if (config.AI_SERVICE === "GEMINI") {
-      geminiInfo = `
-    - Model:          ${"-" || "Not set"}
-    - API Key Set:    ${config.GEMINI_API_KEY ? "Yes" : "No"}`;
-    }
+    const chainStatus = aiServiceProvider
+      .getServiceChainStatus()
+      .map(({ name, available, trippedUntil }) => {
+        if (!available) return `${name} (down)`;
+        if (trippedUntil) {
+          const seconds = Math.ceil((trippedUntil - Date.now()) / 1000);
+          return `${name} (tripped, ${seconds}s)`;
+        }
+        return name;
+      })
+      .join(" -> ");
 
     const infoMessage = `\`\`\`
 Bot Information:
 --------------------
 Discord Tag:           ${client.user.tag}
 AI Service Active:     ${aiServiceProvider.getCurrentServiceType()}
+Failover Chain:        ${chainStatus || "None"}
 Debug Mode:            ${config.DEBUG_MODE ? "ON" : "OFF"}
 
 Target Channel ID:     ${config.TARGET_CHANNEL_ID || "Not set (all channels)"}
-${ollamaInfo}
-${geminiInfo}
+Trigger Mode:          ${
+      config.TRIGGER_MODE === "mention"
+        ? "Mention (any channel when addressed)"
+        : "All messages"
+    }
+${serviceInfo || "    AI Service Not Active"}
 
 BOT_PREFIX:            "${config.BOT_PREFIX}" ${
       config.BOT_PREFIX ? "(AI trigger)" : "(Not set)"
@@ -64,19 +74,22 @@ Max History Size:      ${
 Multiple Chatters:     ${config.MULTIPLE_CHATTERS}
 ALLOW EMOJIS:     ${config.ALLOW_EMOJIS}
 ALLOW PRIVATE MESSAGES:     ${config.ALLOW_PRIVATE_MESSAGES}
-System Prompt Set:     ${
-      (config.AI_SERVICE === "OLLAMA" && config.OLLAMA_SYSTEM_PROMPT) ||
-      (config.AI_SERVICE === "GEMINI" && "N/A (configure per call)")
-        ? "Yes"
-        : "No"
-    }
 
 History File:          ${config.HISTORY_FILE}
 Save Interval (ms):    ${
       config.SAVE_INTERVAL_MS > 0 ? config.SAVE_INTERVAL_MS : "Disabled"
     }
 AI Message Split Token:"${config.MESSAGE_SPLIT_TOKEN}"
-AI Message Split Delay:${config.MESSAGE_SPLIT_DELAY_MS}ms
+AI Message Split Delay:${
+      config.HUMANIZE_DELAYS
+        ? "Human-like (read and typing delays)"
+        : `${config.MESSAGE_SPLIT_DELAY_MS}ms`
+    }
+Streaming Responses:   ${
+      config.STREAM_RESPONSES
+        ? `ON (edits every ${config.STREAM_EDIT_INTERVAL_MS}ms)`
+        : "OFF"
+    }
 Timezone:              ${config.TIMEZONE}
 
 History for this channel: ${channelHistory.length} messages
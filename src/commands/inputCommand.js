@@ -7,6 +7,20 @@ const logger = require("../logger");
 module.exports = {
   name: "input",
   description: "Set a personal information field",
+  aliases: ["profile"],
+  category: "Profile",
+  usage: ["input <field> <value>"],
+  examples: ["input name Alex", "input city Berlin"],
+  args: [
+    {
+      name: "field",
+      description: "The field to set",
+      required: true,
+      choices: userInfoManager.getRequiredFields(),
+    },
+    { name: "value", description: "Your value", required: true, rest: true },
+  ],
+  ephemeral: true, // As a slash command it works in servers too, only visible to the user
   /**
    * Execute the input command
    * @param {import('discord.js').Message} message The Discord message
@@ -19,11 +33,11 @@ module.exports = {
     logger.log(`Arguments: ${JSON.stringify(args)}`);
     logger.log(`User ID: ${message.author.id}`);
 
-    // Only allow this command in DMs for privacy
-    if (message.channel.type !== 1) {
+    // Only allow this command in DMs (or as a slash command, answered privately) for privacy
+    if (message.channel.type !== 1 && !message.ephemeral) {
       // 1 is DM channel
       await message.reply(
-        "This command can only be used in direct messages for privacy reasons."
+        "This command can only be used in direct messages (or as `/input`) for privacy reasons."
       );
       return;
     }
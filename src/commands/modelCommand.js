@@ -0,0 +1,172 @@
+// src/commands/modelCommand.js
+// Command to list models and switch the model/provider used in the current conversation.
+
+const aiServiceProvider = require("../aiServiceProvider");
+const conversationSettingsManager = require("../utils/conversationSettingsManager");
+const messageUtils = require("../utils/messageUtils");
+const { formatUsage } = require("./commandUsage");
+
+const USAGE = ["model list", "model set <provider>:<model>", "model reset"];
+
+// Keeps the list readable; servers with huge catalogs get a "... and N more" line
+const MAX_LISTED_MODELS = 50;
+
+/**
+ * Parses "<provider>:<model>". Model names may contain colons themselves (e.g. Ollama's
+ * "llama3:8b"), so when the part before the first colon is not an active provider the
+ * whole value is taken as a model for the primary provider.
+ * @param {string} value The argument given to `set`.
+ * @returns {{provider: string, model: string}} The parsed override.
+ */
+const parseOverride = (value) => {
+  const activeServices = aiServiceProvider.getActiveServiceNames();
+  const separatorIndex = value.indexOf(":");
+  if (separatorIndex > 0) {
+    const provider = value.substring(0, separatorIndex).toUpperCase();
+    if (activeServices.includes(provider)) {
+      return { provider, model: value.substring(separatorIndex + 1) };
+    }
+  }
+  return { provider: activeServices[0], model: value };
+};
+
+module.exports = {
+  name: "model",
+  description:
+    "Lists models, or sets or resets the model used in this conversation.",
+  aliases: ["models"],
+  category: "Conversation",
+  usage: USAGE,
+  examples: [
+    "model list",
+    "model set OLLAMA:llama3:8b",
+    "model set GEMINI:gemini-1.5-flash",
+  ],
+  args: [
+    {
+      name: "action",
+      description: "What to do (shows the current model if left out)",
+      choices: ["list", "set", "reset"],
+    },
+    { name: "model", description: "<provider>:<model> or <model>, for set" },
+  ],
+  // Changing the model affects everyone in the channel; list is open
+  subcommandPermissions: {
+    set: ["ManageMessages"],
+    reset: ["ManageMessages"],
+  },
+  /**
+   * Executes the model command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger.
+   */
+  async execute(message, args, { config, logger }) {
+    const isDM = message.channel.type === 1;
+    const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
+    const subcommand = (args[0] || "").toLowerCase();
+    const override = conversationSettingsManager.getSetting(channelId, "model");
+    const defaultModel = `${
+      aiServiceProvider.getActiveServiceNames()[0]
+    }:${aiServiceProvider.getDefaultModel()}`;
+
+    logger.debug(
+      `Executing 'model ${subcommand}' command for ${message.author.tag} in ${channelId}`
+    );
+
+    if (subcommand === "list") {
+      await message.channel.sendTyping();
+      const sections = [];
+      for (const serviceName of aiServiceProvider.getActiveServiceNames()) {
+        const models = await aiServiceProvider.listModels(serviceName);
+        if (!models) {
+          sections.push(`**${serviceName}**: (model list not available)`);
+          continue;
+        }
+        const shown = models.slice(0, MAX_LISTED_MODELS);
+        const more =
+          models.length > shown.length
+            ? `\n... and ${models.length - shown.length} more`
+            : "";
+        sections.push(
+          `**${serviceName}**:\n${shown.map((m) => `- ${m}`).join("\n")}${more}`
+        );
+      }
+      const chunks = messageUtils.splitMessage(
+        sections.join("\n\n") || "No AI services are active.",
+        config.MESSAGE_CHUNK_SIZE
+      );
+      for (const chunk of chunks) {
+        await message.channel.send(chunk);
+      }
+      return;
+    }
+
+    if (subcommand === "set") {
+      const value = args.slice(1).join(" ").trim();
+      if (!value) {
+        await message.reply(
+          `Please specify a model, e.g. \`${config.COMMAND_PREFIX} model set OLLAMA:llama3:8b\`.`
+        );
+        return;
+      }
+
+      const { provider, model } = parseOverride(value);
+      if (!provider || !model) {
+        await message.reply("No AI services are active to switch to.");
+        return;
+      }
+
+      // Only refuse unknown models when the provider could actually tell us what it has
+      const models = await aiServiceProvider.listModels(provider);
+      if (
+        models &&
+        !models.includes(model) &&
+        !models.includes(`${model}:latest`)
+      ) {
+        await message.reply(
+          `${provider} doesn't have a model called "${model}". Try \`${config.COMMAND_PREFIX} model list\`.`
+        );
+        return;
+      }
+
+      if (
+        conversationSettingsManager.setSetting(channelId, "model", {
+          provider,
+          model,
+        })
+      ) {
+        await message.channel.send(
+          `This conversation now uses **${provider}:${model}**.`
+        );
+      } else {
+        await message.channel.send(
+          "Sorry, I couldn't save the model for this conversation."
+        );
+      }
+      return;
+    }
+
+    if (subcommand === "reset") {
+      if (conversationSettingsManager.clearSetting(channelId, "model")) {
+        await message.channel.send(
+          `This conversation is back to the default model (${defaultModel}).`
+        );
+      } else {
+        await message.channel.send(
+          "This conversation is already using the default model."
+        );
+      }
+      return;
+    }
+
+    // No (or unknown) subcommand: show the current state and usage
+    const current = override
+      ? `${override.provider}:${override.model} (override)`
+      : `${defaultModel} (default)`;
+    await message.channel.send(
+      `Current model: **${current}**\n` +
+        `Usage: ${formatUsage(USAGE, config.COMMAND_PREFIX)}`
+    );
+  },
+};
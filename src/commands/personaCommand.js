@@ -0,0 +1,373 @@
+// src/commands/personaCommand.js
+// Command to list, show, create and select the persona used in the current conversation.
+
+const conversationSettingsManager = require("../utils/conversationSettingsManager");
+const guildConfigManager = require("../utils/guildConfigManager");
+const personaManager = require("../utils/personaManager");
+const messageUtils = require("../utils/messageUtils");
+const historyManager = require("../utils/historyManager");
+const attachmentProcessor = require("../utils/attachmentProcessor");
+const characterCardImporter = require("../utils/characterCardImporter");
+const promptTemplate = require("../utils/promptTemplate");
+const { formatUsage } = require("./commandUsage");
+
+const USAGE = [
+  "persona list",
+  "persona show [name]",
+  "persona use <name>",
+  "persona reset",
+  'persona create <name> [--display "Name"] [--temperature 0.7] [--emojis on|off] <system prompt>',
+  "persona import [name]",
+];
+
+// Longest system prompt excerpt shown by `persona show`
+const MAX_SHOWN_PROMPT_LENGTH = 1500;
+
+/**
+ * Parses an on/off flag value.
+ * @param {string} value The value.
+ * @returns {boolean|undefined} The flag, or undefined if the value is not on/off.
+ */
+const parseSwitch = (value) =>
+  ({ on: true, true: true, yes: true, off: false, false: false, no: false })[
+    (value || "").toLowerCase()
+  ];
+
+/**
+ * Parses `<name> [--display "Name"] [--description "text"] [--temperature N]
+ * [--top-p N] [--max-tokens N] [--emojis on|off] [--dots on|off] <system prompt>`.
+ * @param {string[]} args Arguments after `create`.
+ * @returns {{persona: object, error: string|null}} The persona, or why it is invalid.
+ */
+const parseCreateArgs = (args) => {
+  const words = messageUtils.tokenizeArgs(args);
+  const persona = { name: (words.shift() || "").toLowerCase() };
+  const promptWords = [];
+  const numberFlags = {
+    "--temperature": "temperature",
+    "--top-p": "topP",
+    "--max-tokens": "maxTokens",
+  };
+  const switchFlags = {
+    "--emojis": "allowEmojis",
+    "--dots": "allowSingleDot",
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    const flag = words[i].toLowerCase();
+    if (flag === "--display") {
+      persona.displayName = words[++i];
+    } else if (flag === "--description") {
+      persona.description = words[++i];
+    } else if (numberFlags[flag]) {
+      const value = Number(words[++i]);
+      if (words[i] === undefined || Number.isNaN(value)) {
+        return { persona, error: `${flag} needs a number.` };
+      }
+      persona[numberFlags[flag]] = value;
+    } else if (switchFlags[flag]) {
+      const value = parseSwitch(words[++i]);
+      if (value === undefined) {
+        return { persona, error: `${flag} needs on or off.` };
+      }
+      persona[switchFlags[flag]] = value;
+    } else {
+      promptWords.push(words[i]);
+    }
+  }
+  persona.systemPrompt = messageUtils.joinWords(promptWords);
+  return { persona, error: null };
+};
+
+/**
+ * Imports the character card attached to a message as a persona.
+ * @param {import('discord.js').Message} message The message with the card attached.
+ * @param {string} [requestedName] The persona name; defaults to one derived from the character.
+ * @param {object} config The configuration.
+ * @returns {Promise<string>} What happened, to tell the user.
+ */
+const importCard = async (message, requestedName, config) => {
+  const attachment = message.attachments.first();
+  if (!attachment) {
+    return "Please attach a character card (.json or .png) to the command.";
+  }
+  if (attachment.size > config.ATTACHMENT_MAX_BYTES) {
+    return "That character card is too large.";
+  }
+
+  let card;
+  try {
+    card = characterCardImporter.parseCard(
+      await attachmentProcessor.downloadAttachment(attachment)
+    );
+  } catch (error) {
+    return `Couldn't read ${attachment.name}: ${error.message}`;
+  }
+
+  const name = (
+    requestedName || characterCardImporter.toPersonaName(card.name)
+  ).toLowerCase();
+  if (!personaManager.isValidPersonaName(name)) {
+    return `Please name the persona: \`${config.COMMAND_PREFIX} persona import <name>\` (lower-case letters, digits, - and _).`;
+  }
+  if (personaManager.getPersona(name)) {
+    return `A persona called "${name}" already exists. Pick another name: \`${config.COMMAND_PREFIX} persona import <name>\`.`;
+  }
+  const persona = characterCardImporter.cardToPersona(card, name);
+  if (!personaManager.savePersona(persona)) {
+    return "Sorry, I couldn't save the persona.";
+  }
+  return `Imported **${persona.displayName}**. Use it with \`${config.COMMAND_PREFIX} persona use ${name}\`.`;
+};
+
+/**
+ * Formats a persona for `persona show`.
+ * @param {import('../utils/personaManager').Persona} persona The persona.
+ * @returns {string} The description.
+ */
+const describePersona = (persona) => {
+  const lines = [
+    `**${persona.displayName || persona.name}** (\`${persona.name}\`)`,
+  ];
+  if (persona.description) lines.push(persona.description);
+  const settings = [
+    ["Temperature", persona.temperature],
+    ["Top P", persona.topP],
+    ["Max tokens", persona.maxTokens],
+    ["Emojis", persona.allowEmojis],
+    ["Single dots", persona.allowSingleDot],
+  ]
+    .filter(([, value]) => value !== undefined)
+    .map(([label, value]) => `${label}: ${value}`);
+  if (settings.length > 0) lines.push(settings.join(" | "));
+  if (persona.systemPrompt) {
+    const prompt =
+      persona.systemPrompt.length > MAX_SHOWN_PROMPT_LENGTH
+        ? `${persona.systemPrompt.substring(0, MAX_SHOWN_PROMPT_LENGTH)}...`
+        : persona.systemPrompt;
+    lines.push(`System prompt:\n\`\`\`\n${prompt}\n\`\`\``);
+  } else {
+    lines.push("System prompt: (provider default)");
+  }
+  if (persona.greeting) {
+    lines.push(`Greeting: ${persona.greeting.substring(0, 200)}`);
+  }
+  return lines.join("\n");
+};
+
+module.exports = {
+  name: "persona",
+  description:
+    "Lists, shows, creates, imports or selects the persona used in this conversation.",
+  aliases: ["character"],
+  category: "Conversation",
+  usage: USAGE,
+  examples: [
+    "persona use support",
+    'persona create casual --display "Sam" --temperature 0.9 You are Sam, a laid-back friend.',
+  ],
+  args: [
+    {
+      name: "action",
+      description: "What to do (shows the current persona if left out)",
+      choices: ["list", "show", "use", "reset", "create", "import"],
+    },
+    {
+      name: "arguments",
+      description: "The persona name; for create also the options and system prompt",
+      rest: true,
+    },
+    {
+      name: "card",
+      description: "Character card (.json or .png), for import",
+      type: "attachment",
+    },
+  ],
+  // Changing the persona affects everyone in the channel; list and show are open
+  subcommandPermissions: {
+    use: ["ManageMessages"],
+    reset: ["ManageMessages"],
+    create: ["ManageMessages"],
+    import: ["ManageMessages"],
+  },
+  /**
+   * Executes the persona command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger.
+   */
+  async execute(message, args, { config, logger }) {
+    const isDM = message.channel.type === 1;
+    const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
+    const subcommand = (args[0] || "").toLowerCase();
+    const active = personaManager.getActivePersona(channelId, message.guildId);
+    // The last form, import, needs an attachment
+    const usage = `Usage: ${formatUsage(
+      USAGE,
+      config.COMMAND_PREFIX
+    )} with a character card (.json or .png) attached`;
+
+    logger.debug(
+      `Executing 'persona ${subcommand}' command for ${message.author.tag} in ${channelId}`
+    );
+
+    if (subcommand === "list") {
+      const personas = personaManager.listPersonas();
+      if (personas.length === 0) {
+        await message.channel.send(
+          `No personas yet. Create one with \`${config.COMMAND_PREFIX} persona create\`.`
+        );
+        return;
+      }
+      const list = personas
+        .map(
+          (persona) =>
+            `- \`${persona.name}\`${
+              persona.displayName ? ` ${persona.displayName}` : ""
+            }${persona.description ? `: ${persona.description}` : ""}${
+              active && active.name === persona.name ? " **(active)**" : ""
+            }`
+        )
+        .join("\n");
+      for (const chunk of messageUtils.splitMessage(
+        `Personas:\n${list}`,
+        config.MESSAGE_CHUNK_SIZE
+      )) {
+        await message.channel.send(chunk);
+      }
+      return;
+    }
+
+    if (subcommand === "show") {
+      const persona = args[1]
+        ? personaManager.getPersona(args[1].toLowerCase())
+        : active;
+      if (!persona) {
+        await message.reply(
+          args[1]
+            ? `There is no persona called "${args[1]}".`
+            : "This conversation uses no persona (global configuration)."
+        );
+        return;
+      }
+      for (const chunk of messageUtils.splitMessage(
+        describePersona(persona),
+        config.MESSAGE_CHUNK_SIZE
+      )) {
+        await message.channel.send(chunk);
+      }
+      return;
+    }
+
+    if (subcommand === "use") {
+      const name = (args[1] || "").toLowerCase();
+      const persona = personaManager.getPersona(name);
+      if (!persona) {
+        await message.reply(
+          `There is no persona called "${name}". Try \`${config.COMMAND_PREFIX} persona list\`.`
+        );
+        return;
+      }
+      if (conversationSettingsManager.setSetting(channelId, "persona", name)) {
+        await message.channel.send(
+          `This conversation now uses **${persona.displayName || name}**.`
+        );
+        // The greeting opens the conversation, as a character's first message does
+        const greeting = personaManager.getGreeting(
+          persona,
+          promptTemplate.getMessageContext(message, persona)
+        );
+        if (greeting) {
+          for (const chunk of messageUtils.splitMessage(
+            greeting,
+            config.MESSAGE_CHUNK_SIZE
+          )) {
+            await message.channel.send(chunk);
+          }
+          // Kept as context like any reply, unless the guild answers without history
+          const { historyMode } = guildConfigManager.getGuildSettings(
+            message.guildId
+          );
+          if (historyMode !== "off") {
+            historyManager.addMessageToHistory(channelId, {
+              role: "assistant",
+              content: greeting,
+            });
+            historyManager.saveHistory();
+          }
+        }
+      } else {
+        await message.channel.send(
+          "Sorry, I couldn't save the persona for this conversation."
+        );
+      }
+      return;
+    }
+
+    if (subcommand === "reset") {
+      if (conversationSettingsManager.clearSetting(channelId, "persona")) {
+        const defaultPersona = guildConfigManager.getGuildSettings(
+          message.guildId
+        ).persona;
+        await message.channel.send(
+          defaultPersona
+            ? `This conversation is back to the default persona (${defaultPersona}).`
+            : "This conversation is back to the global configuration."
+        );
+      } else {
+        await message.channel.send(
+          "This conversation is already using the default."
+        );
+      }
+      return;
+    }
+
+    if (subcommand === "create") {
+      const { persona, error } = parseCreateArgs(args.slice(1));
+      if (error) {
+        await message.reply(`${error}\n${usage}`);
+        return;
+      }
+      if (!personaManager.isValidPersonaName(persona.name)) {
+        await message.reply(
+          "Persona names may only use lower-case letters, digits, - and _ (up to 32)."
+        );
+        return;
+      }
+      if (personaManager.getPersona(persona.name)) {
+        await message.reply(
+          `A persona called "${persona.name}" already exists.`
+        );
+        return;
+      }
+      if (!persona.systemPrompt) {
+        await message.reply(
+          `Please give the persona a system prompt.\n${usage}`
+        );
+        return;
+      }
+      if (personaManager.savePersona(persona)) {
+        await message.channel.send(
+          `Created persona **${persona.displayName || persona.name}**. Use it with \`${config.COMMAND_PREFIX} persona use ${persona.name}\`.`
+        );
+      } else {
+        await message.channel.send("Sorry, I couldn't save the persona.");
+      }
+      return;
+    }
+
+    if (subcommand === "import") {
+      await message.reply(await importCard(message, args[1], config));
+      return;
+    }
+
+    // No (or unknown) subcommand: show the current state and usage
+    await message.channel.send(
+      `Current persona: **${
+        active
+          ? active.displayName || active.name
+          : "none (global configuration)"
+      }**\n${usage}`
+    );
+  },
+};
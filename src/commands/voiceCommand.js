@@ -0,0 +1,112 @@
+// src/commands/voiceCommand.js
+// Command to turn spoken (TTS) replies on or off for the conversation or for oneself.
+
+const conversationSettingsManager = require("../utils/conversationSettingsManager");
+const ttsService = require("../services/ttsService");
+const voiceReplies = require("../utils/voiceReplies");
+const { formatUsage } = require("./commandUsage");
+
+const USAGE = ["voice on|off|auto|reset", "voice me on|off|auto|reset"];
+
+// Describes each mode in replies
+const MODE_DESCRIPTIONS = {
+  on: "every reply is also spoken",
+  off: "replies are text only",
+  auto: "voice messages get a spoken reply",
+};
+
+module.exports = {
+  name: "voice",
+  description:
+    "Shows or sets spoken replies for this conversation, or with `me` for you everywhere.",
+  aliases: ["tts"],
+  category: "Conversation",
+  usage: USAGE,
+  examples: ["voice auto", "voice me off"],
+  args: [
+    {
+      name: "scope",
+      description: "Change it for you everywhere instead of this conversation",
+      choices: ["me"],
+    },
+    {
+      name: "mode",
+      description: "The mode (shows the current one if left out)",
+      choices: ["on", "off", "auto", "reset"],
+    },
+  ],
+  /**
+   * Executes the voice command.
+   * @param {import('discord.js').Message} message The Discord message object.
+   * @param {string[]} args Command arguments.
+   * @param {object} dependencies Shared dependencies like client, config, logger.
+   */
+  async execute(message, args, { config, logger }) {
+    const isDM = message.channel.type === 1;
+    const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
+    const forUser = (args[0] || "").toLowerCase() === "me";
+    const subcommand = (args[forUser ? 1 : 0] || "").toLowerCase();
+    const settingsKey = forUser
+      ? voiceReplies.getUserSettingsKey(message.author.id)
+      : channelId;
+    const scope = forUser ? "you" : "this conversation";
+
+    logger.debug(
+      `Executing 'voice ${args.join(" ")}' command for ${message.author.tag} in ${channelId}`
+    );
+
+    if (!ttsService.isAvailable()) {
+      await message.reply(
+        "Spoken replies are not available: no TTS server is configured (TTS_URL)."
+      );
+      return;
+    }
+
+    if (voiceReplies.VOICE_REPLY_MODES.includes(subcommand)) {
+      if (
+        conversationSettingsManager.setSetting(
+          settingsKey,
+          "voiceReplies",
+          subcommand
+        )
+      ) {
+        await message.channel.send(
+          `Spoken replies for ${scope}: **${subcommand}** (${MODE_DESCRIPTIONS[subcommand]}).`
+        );
+      } else {
+        await message.channel.send("Sorry, I couldn't save the voice setting.");
+      }
+      return;
+    }
+
+    if (subcommand === "reset") {
+      if (
+        conversationSettingsManager.clearSetting(settingsKey, "voiceReplies")
+      ) {
+        await message.channel.send(
+          `Spoken replies for ${scope} are back to the default.`
+        );
+      } else {
+        await message.channel.send(
+          `Spoken replies for ${scope} already use the default.`
+        );
+      }
+      return;
+    }
+
+    // No (or unknown) subcommand: show the current state and usage
+    const { mode, source } = voiceReplies.getVoiceReplyMode(
+      channelId,
+      message.author.id
+    );
+    const sourceLabel = {
+      user: "your setting",
+      conversation: "conversation setting",
+      default: "default",
+    }[source];
+    await message.channel.send(
+      `Spoken replies: **${mode}** (${MODE_DESCRIPTIONS[mode]}, ${sourceLabel})\n` +
+        `Usage: ${formatUsage(USAGE, config.COMMAND_PREFIX)}`
+    );
+  },
+};
@@ -10,6 +10,7 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageTyping, // Lets message debouncing wait for people still typing
     GatewayIntentBits.MessageContent, // Needed to read message content
     GatewayIntentBits.DirectMessages, // This is essential for DMs
     GatewayIntentBits.DirectMessageReactions,
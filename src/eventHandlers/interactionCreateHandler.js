@@ -0,0 +1,26 @@
+// src/eventHandlers/interactionCreateHandler.js
+// Handles the 'InteractionCreate' event from Discord.js.
+
+const { Events } = require("discord.js");
+const logger = require("../logger");
+const commandHandler = require("../commands/commandHandler");
+
+module.exports = {
+  name: Events.InteractionCreate,
+  /**
+   * Executes when an interaction is created. Slash commands run the same command
+   * modules as the text commands.
+   * @param {import('discord.js').Interaction} interaction The interaction.
+   */
+  async execute(interaction) {
+    if (!interaction.isChatInputCommand()) return;
+    try {
+      await commandHandler.handleInteraction(interaction);
+    } catch (error) {
+      logger.error(
+        `Error handling slash command ${interaction.commandName}:`,
+        error
+      );
+    }
+  },
+};
@@ -10,10 +10,585 @@ const historyManager = require("../utils/historyManager");
 const messageUtils = require("../utils/messageUtils");
 const commandHandler = require("../commands/commandHandler");
 const userInfoManager = require("../utils/userInfoManager");
+const { createStreamingResponder } = require("../utils/streamingResponder");
+const conversationSettingsManager = require("../utils/conversationSettingsManager");
+const toolRegistry = require("../tools/toolRegistry");
+const tokenBudget = require("../utils/tokenBudget");
+const memoryManager = require("../utils/memoryManager");
+const attachmentProcessor = require("../utils/attachmentProcessor");
+const voiceReplies = require("../utils/voiceReplies");
+const personaManager = require("../utils/personaManager");
+const promptTemplate = require("../utils/promptTemplate");
+const messageDebouncer = require("../utils/messageDebouncer");
+const conversationQueue = require("../utils/conversationQueue");
+const humanBehavior = require("../utils/humanBehavior");
+const mentionTrigger = require("../utils/mentionTrigger");
+const guildConfigManager = require("../utils/guildConfigManager");
 
 // Cooldown management
 const userCooldowns = new Set();
 
+/**
+ * Applies the same clean-up to a streamed part that the non-streaming path
+ * applies before sending (single dots, emojis).
+ * @param {string} text The part as generated.
+ * @param {{allowEmojis: boolean, allowSingleDot: boolean}} replyRules The active rules.
+ * @returns {string} The text to display.
+ */
+const formatStreamedPart = (text, replyRules) => {
+  let formatted = text;
+  // Remove single dot (but not double+ dots)
+  if (!replyRules.allowSingleDot)
+    formatted = formatted.replace(/(?<!\.)\.(?!\.)/g, "");
+  if (replyRules.allowEmojis === false)
+    formatted = messageUtils.filterEmojis(formatted);
+  return formatted;
+};
+
+/**
+ * Marks a message that waits for its turn (busy conversation or AI service) with QUEUE_REACTION.
+ * @param {import('discord.js').Message} message The message.
+ * @returns {{show: () => void, clear: () => Promise<void>}} Adds and removes the reaction.
+ */
+const createWaitIndicator = (message) => {
+  let pendingReaction = null;
+  return {
+    show: () => {
+      if (!config.QUEUE_REACTION || pendingReaction) return;
+      pendingReaction = message.react(config.QUEUE_REACTION).catch((error) => {
+        logger.debug("Could not add the queue reaction:", error.message);
+        return null;
+      });
+    },
+    clear: async () => {
+      if (!pendingReaction) return;
+      const reaction = await pendingReaction;
+      pendingReaction = null;
+      if (reaction) {
+        await reaction.users
+          .remove()
+          .catch((error) =>
+            logger.debug("Could not remove the queue reaction:", error.message)
+          );
+      }
+    },
+  };
+};
+
+/**
+ * Answers a batch of messages from one conversation as a single user turn.
+ * @param {import('../utils/messageDebouncer').PendingMessage[]} entries The messages, oldest first.
+ * @param {ReturnType<typeof createWaitIndicator>} waitIndicator Shows when the turn waits for the AI service.
+ */
+const respondToBatch = async (entries, waitIndicator) => {
+  // The latest message stands for the batch: it is replied to and decides the voice mode
+  const { message } = entries[entries.length - 1];
+  const isDM = message.channel.type === 1;
+  const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
+  // Prefix, persona, history mode and cooldown can differ per guild
+  const guildSettings = guildConfigManager.getGuildSettings(message.guildId);
+  const keepHistory = guildSettings.historyMode !== "off";
+
+  // In mention mode the first message of the answer is a Discord reply to the
+  // triggering message, so it is clear who is being answered
+  let replyTarget =
+    !isDM && config.TRIGGER_MODE === "mention" ? message : null;
+  const sendReply = (content) => {
+    if (!replyTarget) return message.channel.send(content);
+    const target = replyTarget;
+    replyTarget = null;
+    return target.reply({ content, failIfNotExists: false });
+  };
+
+  // Add options for the AI service, including channelId for user identification
+  const aiOptions = {
+    channelId: channelId,
+    temperature: config.AI_TEMPERATURE,
+    onQueued: waitIndicator.show,
+  };
+
+  // The conversation's persona sets the system prompt, generation options and reply rules
+  const persona = personaManager.getActivePersona(channelId, message.guildId);
+  Object.assign(aiOptions, personaManager.getPersonaOptions(persona));
+  const replyRules = personaManager.getReplyRules(persona);
+  // Fills the system prompt's placeholders (user profile, time, channel, ...)
+  aiOptions.promptContext = promptTemplate.getMessageContext(
+    message,
+    persona
+  );
+
+  // Per-conversation model override set with the `model` command
+  const modelOverride = conversationSettingsManager.getSetting(
+    channelId,
+    "model"
+  );
+  if (modelOverride) {
+    aiOptions.provider = modelOverride.provider;
+    aiOptions.model = modelOverride.model;
+  }
+
+  // Tools the AI may call before answering
+  if (config.ENABLE_TOOLS) {
+    aiOptions.tools = toolRegistry.getTools();
+    aiOptions.toolContext = {
+      channelId,
+      userId: message.author.id,
+      message,
+      client: message.client,
+    };
+  }
+
+  // Everything from here on may fail (missing permissions, rate limits, downloads);
+  // the catch below tells the user instead of leaving the error unhandled
+  let typing = null;
+  try {
+    // --- 4. Attachment Processing ---
+    let attachmentTexts = [];
+    let images = []; // Sent natively to vision-capable chat models
+    const attachments = entries.flatMap(({ message: entry }) => [
+      ...entry.attachments.values(),
+    ]);
+    if (attachments.length > 0) {
+      logger.log(
+        `Processing ${attachments.length} attachment(s) from ${message.author.tag}...`
+      );
+      await message.channel.sendTyping();
+      ({ texts: attachmentTexts, images } =
+        await attachmentProcessor.processAttachments(attachments, {
+          sendImagesNatively: aiServiceProvider.supportsImageInput(aiOptions),
+        }));
+      logger.debug(
+        `Finished processing attachments. ${images.length} image(s) sent natively, ${attachmentTexts.length} text part(s).`
+      );
+    }
+
+    // --- 5. Construct Final Message for AI ---
+    // One line per message; when a batch mixes authors (DEBOUNCE_SCOPE=channel), each line
+    // says who wrote it
+    const authorIds = new Set(
+      entries.map(({ message: entry }) => entry.author.id)
+    );
+    let finalMessageContentForAI = entries
+      .filter(({ content }) => content)
+      .map(({ message: entry, content }) =>
+        config.MULTIPLE_CHATTERS && authorIds.size > 1
+          ? `${entry.author.globalName || entry.author.username}: ${content}`
+          : content
+      )
+      .join("\n");
+    if (attachmentTexts.length > 0) {
+      const attachmentText = attachmentTexts.join("\n");
+      finalMessageContentForAI = finalMessageContentForAI
+        ? `${finalMessageContentForAI}\n${attachmentText}`
+        : attachmentText;
+    }
+
+    if (!finalMessageContentForAI) {
+      // If only prefix was sent, or attachments failed and no text
+      if (
+        guildSettings.prefix &&
+        message.content
+          .trim()
+          .toLowerCase()
+          .startsWith(guildSettings.prefix.toLowerCase())
+      ) {
+        logger.debug(
+          `Message from ${message.author.tag} was just prefix or unprocessable. Replying with "Hmm?".`
+        );
+        await message.reply("Hmm? Did you want to tell me something?");
+      } else {
+        logger.debug("No content for AI after processing. Ignoring.");
+      }
+      return;
+    }
+
+    // --- 6. AI Interaction ---
+    const now = new Date();
+    const formattedTime = format(now, "HH:mm zzz", {
+      timeZone: config.TIMEZONE,
+    });
+
+    let userMessageForHistory = `[Time: ${formattedTime}] ${finalMessageContentForAI}`;
+    if (config.MULTIPLE_CHATTERS && authorIds.size === 1) {
+      const senderUsername =
+        message.author.globalName || message.author.username;
+      userMessageForHistory = `${senderUsername}: ${userMessageForHistory}`;
+    }
+
+    // Add DM context if applicable
+    if (isDM && config.INCLUDE_DM_CONTEXT) {
+      userMessageForHistory = `[Direct Message] ${userMessageForHistory}`;
+    }
+
+    // For DMs, check if user info is complete before proceeding with AI
+    if (isDM) {
+      const userId = message.author.id;
+      if (!userInfoManager.isUserInfoComplete(userId)) {
+        logger.log(
+          `User ${userId} has incomplete info. Redirecting to input command instead of AI.`
+        );
+        await message.channel.send(
+          `Before we can chat, pls use the \`${
+            config.COMMAND_PREFIX
+          } input\` command with the following required fields: ${userInfoManager
+            .getRequiredFields()
+            .join(", ")}`
+        );
+        return; // Stop processing - don't send to AI or save to history
+      }
+
+      logger.log(
+        `User ${userId} has complete info. Proceeding with AI chat.`
+      );
+    }
+
+    // Messages that arrive during the cooldown get no reply of their own, but stay
+    // in the history as context for the next one
+    if (userCooldowns.has(message.author.id)) {
+      logger.debug(
+        `User ${message.author.tag} is on cooldown. Adding the message(s) to history without replying.`
+      );
+      if (keepHistory) {
+        historyManager.addMessageToHistory(channelId, {
+          role: "user",
+          content: userMessageForHistory, // Images are referenced by name, not stored
+        });
+        historyManager.saveHistory();
+      }
+      return;
+    }
+    userCooldowns.add(message.author.id);
+    setTimeout(
+      () => userCooldowns.delete(message.author.id),
+      guildSettings.cooldownMs
+    );
+
+    // Like a person: read the message first, then type while the AI writes the reply
+    if (config.HUMANIZE_DELAYS) {
+      await humanBehavior.pause(
+        humanBehavior.getReadDelay(finalMessageContentForAI)
+      );
+    }
+    typing = humanBehavior.startTyping(message.channel);
+    const typingStartedAt = Date.now();
+
+    // Prepare messages for AI Service
+    let messagesForOllama = [];
+    const currentChannelHistory = historyManager.getChannelHistory(channelId);
+
+    // System prompts are applied by each AI provider itself
+
+    // A guild with history turned off is answered one-shot, like MAX_HISTORY_SIZE=0
+    const maxHistorySize = keepHistory ? config.MAX_HISTORY_SIZE : 0;
+
+    // Older, pruned messages are represented by their running summary
+    const historySummary =
+      keepHistory && historyManager.getChannelSummary(channelId);
+    const summaryMessage = historySummary
+      ? {
+          role: "user",
+          content: `[Summary of the earlier conversation]: ${historySummary}`,
+        }
+      : null;
+
+    // Relevant exchanges from long-term memory that are no longer in the history
+    let memoryMessage = null;
+    if (
+      keepHistory &&
+      config.ENABLE_MEMORY &&
+      aiServiceProvider.isEmbeddingAvailable()
+    ) {
+      const memories = await memoryManager.recall(
+        channelId,
+        finalMessageContentForAI,
+        { exclude: currentChannelHistory.map((entry) => entry.content) }
+      );
+      if (memories.length > 0) {
+        memoryMessage = {
+          role: "user",
+          content: `[Relevant memories from earlier conversations]:\n${memories
+            .map(
+              (memory) =>
+                `- (${memory.timestamp.substring(0, 10)}) ${memory.text}`
+            )
+            .join("\n")}`,
+        };
+        logger.debug(
+          `Recalled ${memories.length} memories for channel ${channelId}.`
+        );
+      }
+    }
+
+    // Keep only as much recent history as fits the model's context window
+    // The history only keeps the "[Image: name]" reference; the image data itself is sent
+    // with this turn alone, so it does not pile up in the history file
+    const historyUserMessage = {
+      role: "user",
+      content: userMessageForHistory,
+    };
+    const currentUserMessage =
+      images.length > 0 ? { ...historyUserMessage, images } : historyUserMessage;
+    const historyTokenBudget =
+      aiServiceProvider.getPromptTokenBudget(aiOptions) -
+      (summaryMessage ? tokenBudget.countMessageTokens(summaryMessage) : 0) -
+      (memoryMessage ? tokenBudget.countMessageTokens(memoryMessage) : 0) -
+      tokenBudget.countMessageTokens(currentUserMessage);
+    // With MAX_HISTORY_SIZE=0 (or history off) only the current message is sent
+    const historySliceForAI =
+      maxHistorySize === 0
+        ? []
+        : historyManager.getHistoryForPrompt(
+            channelId,
+            historyTokenBudget,
+            // One slot less than the size, because the current message is next
+            maxHistorySize === -1 ? -1 : maxHistorySize - 1
+          );
+
+    if (summaryMessage) messagesForOllama.push(summaryMessage);
+    if (memoryMessage) messagesForOllama.push(memoryMessage);
+    messagesForOllama.push(...historySliceForAI);
+    messagesForOllama.push(currentUserMessage); // Add current user message
+
+    logger.debug(
+      `Sending ${messagesForOllama.length} message segments to AI service.`
+    );
+
+    // Get the AI response, either streamed into Discord as it arrives or all at once
+    let aiResponse;
+    let responseAlreadySent = false;
+    if (config.STREAM_RESPONSES) {
+      const responder = createStreamingResponder(message.channel, {
+        format: (text) => formatStreamedPart(text, replyRules),
+        send: sendReply,
+      });
+      for await (const delta of aiServiceProvider.chatStream(
+        messagesForOllama,
+        aiOptions
+      )) {
+        // Both only do something for the first delta
+        typing.stop();
+        await waitIndicator.clear();
+        responder.push(delta);
+      }
+      aiResponse = await responder.finish();
+      responseAlreadySent = responder.hasSentMessages();
+    } else {
+      aiResponse = await aiServiceProvider.chat(messagesForOllama, aiOptions);
+    }
+    await waitIndicator.clear();
+
+    // Check if the response is null before using replaceAll
+    if (!aiResponse) {
+      logger.warn(`AI service returned null for message ID ${message.id}.`);
+
+      // For DM channels, this might be because user info is incomplete
+      if (isDM) {
+        await message.channel.send(
+          `I need some information from you before we can chat. Please use the \`${config.COMMAND_PREFIX} input\` command to provide your details.`
+        );
+      } else {
+        await sendReply("I... I don't have a response for that right now.");
+      }
+
+      // Don't add to history when we get a null response
+      return;
+    }
+
+    // Process the response now that we know it's not null
+    let aiResponseContent = aiResponse.replaceAll(
+      "\n\n",
+      config.MESSAGE_SPLIT_TOKEN
+    );
+
+    // Remove single dot (but not double+ dots)
+    if (!replyRules.allowSingleDot)
+      aiResponseContent = aiResponseContent.replace(/(?<!\.)\.(?!\.)/g, "");
+
+    if (aiResponseContent.trim() === "" && !responseAlreadySent) {
+      logger.warn(
+        `AI service returned an empty or whitespace-only response for message ID ${message.id}.`
+      );
+      await sendReply("I... I don't have a response for that right now.");
+      // Add user message to history even if AI fails to respond, to keep context for next turn
+      if (keepHistory) {
+        historyManager.addMessageToHistory(channelId, historyUserMessage);
+        historyManager.addMessageToHistory(channelId, {
+          role: "assistant",
+          content: "[AI failed to generate a response]",
+        });
+        historyManager.saveHistory();
+      }
+      return;
+    }
+
+    // Add user and AI messages to persistent history
+    if (keepHistory) {
+      historyManager.addMessageToHistory(channelId, historyUserMessage);
+      historyManager.addMessageToHistory(channelId, {
+        role: "assistant",
+        content: aiResponseContent,
+      });
+      historyManager.saveHistory(); // Save after successful interaction
+    }
+
+    if (keepHistory && config.ENABLE_MEMORY) {
+      memoryManager
+        .rememberExchange(channelId, userMessageForHistory, aiResponseContent)
+        .catch((error) =>
+          logger.error(`Error storing memory for ${channelId}:`, error)
+        );
+    }
+
+    // Spoken copy of the reply, sent after the text
+    const replyWithVoice = voiceReplies.shouldReplyWithVoice(
+      message,
+      channelId
+    );
+
+    // A streamed response is already in the channel
+    if (responseAlreadySent) {
+      if (replyWithVoice) {
+        await voiceReplies.sendVoiceReply(message.channel, aiResponseContent);
+      }
+      return;
+    }
+
+    // Send response to Discord
+    const tokenRegex = new RegExp(
+      `([.!?]*)\\s*${messageUtils.escapeRegExp(
+        config.MESSAGE_SPLIT_TOKEN
+      )}\\s*`,
+      "g"
+    );
+    const rawParts = aiResponseContent.split(tokenRegex);
+    const messageParts = [];
+    for (let i = 0; i < rawParts.length; i += 2) {
+      const currentPart = rawParts[i] || "";
+      const punctuation = rawParts[i + 1] || "";
+      if (i === rawParts.length - 1) {
+        // Last part
+        if (currentPart.trim()) messageParts.push(currentPart.trim());
+      } else if (currentPart.trim() || punctuation) {
+        messageParts.push((currentPart + punctuation).trim());
+      }
+    }
+
+    if (messageParts.length === 0 && aiResponseContent.trim()) {
+      // Fallback if regex split fails
+      messageParts.push(
+        ...aiResponseContent
+          .split(config.MESSAGE_SPLIT_TOKEN)
+          .map((p) => p.trim())
+          .filter((p) => p)
+      );
+    }
+
+    logger.debug(
+      `AI response split into ${messageParts.length} parts by token.`
+    );
+
+    for (let i = 0; i < messageParts.length; i++) {
+      const part = messageParts[i];
+      if (!part) continue;
+
+      if (config.HUMANIZE_DELAYS) {
+        // Typing takes time in proportion to the part's length; the first part was
+        // partly typed while the AI was writing
+        await humanBehavior.pause(
+          humanBehavior.getTypingDelay(part) -
+            (i === 0 ? Date.now() - typingStartedAt : 0)
+        );
+      }
+
+      const chunks = messageUtils.splitMessage(
+        part,
+        config.MESSAGE_CHUNK_SIZE
+      );
+      for (const chunk of chunks) {
+        let processedChunk = chunk;
+
+        // Check if emojis are not allowed
+        if (replyRules.allowEmojis === false) {
+          // Filter emojis from the chunk
+          processedChunk = messageUtils.filterEmojis(chunk);
+        }
+
+        // Send the processed chunk (either original or filtered)
+        await sendReply(processedChunk);
+      }
+      if (i < messageParts.length - 1) {
+        typing.refresh(); // Sending a message hides the indicator; the next part is on its way
+        if (!config.HUMANIZE_DELAYS && config.MESSAGE_SPLIT_DELAY_MS > 0) {
+          await humanBehavior.pause(config.MESSAGE_SPLIT_DELAY_MS);
+        }
+      }
+    }
+    typing.stop();
+    if (
+      messageParts.length === 0 ||
+      messageParts.every((p) => p.trim() === "")
+    ) {
+      if (finalMessageContentForAI) {
+        // Only if there was something to respond to
+        await sendReply("... (No substantial response generated)");
+      }
+    } else if (replyWithVoice) {
+      await voiceReplies.sendVoiceReply(message.channel, aiResponseContent);
+    }
+  } catch (error) {
+    logger.error(
+      `Error during AI interaction or response sending for message ID ${message.id}:`,
+      error
+    );
+    // Attempt to rollback history for the user's last message if AI call failed before assistant response was added
+    // This is a bit tricky as the user message is added before the call in the current flow.
+    // A more robust rollback might involve checking the last item in history.
+    // For now, just log and send a generic error.
+    // historyManager.removeLastUserMessageIfFailed(channelId, userMessageForHistory); // This function would need careful implementation
+
+    let userErrorMessage =
+      "Something unexpected happened, and I couldn't quite process that. So sorry!";
+    if (
+      error.message &&
+      error.message.toLowerCase().includes("econnrefused")
+    ) {
+      userErrorMessage = `I'm having trouble connecting to my brain right now (${aiServiceProvider.getCurrentServiceType()}). Please ensure it's running and accessible.`;
+    } else if (
+      error.message &&
+      error.message.toLowerCase().includes("model")
+    ) {
+      userErrorMessage = `There seems to be an issue with the AI model I'm trying to use (${aiServiceProvider.getCurrentServiceType()}). Maybe it's not available?`;
+    }
+    await sendReply(userErrorMessage).catch((replyError) =>
+      logger.error("Could not send the error reply:", replyError)
+    );
+  } finally {
+    if (typing) typing.stop();
+  }
+};
+
+/**
+ * Queues a batch behind the turns already running or waiting in its conversation,
+ * so replies and history stay in order.
+ * @param {import('../utils/messageDebouncer').PendingMessage[]} entries The messages, oldest first.
+ */
+const queueBatch = async (entries) => {
+  const { message } = entries[entries.length - 1];
+  const channelId =
+    message.channel.type === 1 ? `dm_${message.author.id}` : message.channel.id;
+  const waitIndicator = createWaitIndicator(message);
+  try {
+    // The reaction stays until the AI answers, also while it waits for a busy AI service
+    await conversationQueue.enqueue(
+      channelId,
+      () => respondToBatch(entries, waitIndicator),
+      waitIndicator.show
+    );
+  } finally {
+    await waitIndicator.clear();
+  }
+};
+
 module.exports = {
   name: Events.MessageCreate,
   /**
@@ -75,16 +650,28 @@ module.exports = {
     const channelId = isDM ? `dm_${message.author.id}` : message.channel.id;
     const rawMessageContent = message.content.trim();
     const userMessageContentLower = rawMessageContent.toLowerCase();
+    // Enabled channels and prefix can be set per guild (`!ai guild`)
+    const guildSettings = guildConfigManager.getGuildSettings(message.guildId);
+
+    // In mention mode, guild messages are answered when they address the bot
+    // (mention, reply or name), in any channel
+    const trigger =
+      !isDM && config.TRIGGER_MODE === "mention"
+        ? mentionTrigger.getTrigger(message)
+        : null;
 
-    // Ignore messages not in the target channel (if set)
+    // Ignore messages not in the enabled channels (if any are set)
     // Skip this check for DMs as they have their own channel IDs
-    if (
-      !isDM &&
-      config.TARGET_CHANNEL_ID &&
-      channelId !== config.TARGET_CHANNEL_ID
-    ) {
-      logger.debug(`Ignoring message in non-target channel ${channelId}.`);
-      return;
+    const isTargetChannel = guildSettings.channels.includes(channelId);
+    if (!isDM && !trigger && !isTargetChannel) {
+      if (config.TRIGGER_MODE === "mention") {
+        logger.debug(`Ignoring message in ${channelId}: bot not addressed.`);
+        return;
+      }
+      if (guildSettings.channels.length > 0) {
+        logger.debug(`Ignoring message in non-target channel ${channelId}.`);
+        return;
+      }
     }
 
     if (
@@ -106,369 +693,34 @@ module.exports = {
       return;
     }
 
-    let processedMessageContent = rawMessageContent;
+    // The mention itself is not part of what the user says
+    let processedMessageContent = trigger
+      ? mentionTrigger.stripBotMentions(message, rawMessageContent)
+      : rawMessageContent;
 
     // Apply bot prefix filter (if a prefix is set for AI triggering)
-    // For DMs, we can optionally bypass the BOT_PREFIX requirement if configured
+    // For DMs, we can optionally bypass the BOT_PREFIX requirement if configured.
+    // Addressing the bot in mention mode replaces the prefix.
     const requiresPrefixInDM = config.REQUIRE_PREFIX_IN_DM !== false;
-    if (config.BOT_PREFIX && (!isDM || (isDM && requiresPrefixInDM))) {
-      if (
-        !userMessageContentLower.startsWith(config.BOT_PREFIX.toLowerCase())
-      ) {
+    const botPrefix = guildSettings.prefix;
+    if (botPrefix && !trigger && (!isDM || (isDM && requiresPrefixInDM))) {
+      if (!userMessageContentLower.startsWith(botPrefix.toLowerCase())) {
         logger.debug(
-          `Message from ${message.author.tag} does not have BOT_PREFIX "${config.BOT_PREFIX}". Ignoring for AI response.`
+          `Message from ${message.author.tag} does not have the bot prefix "${botPrefix}". Ignoring for AI response.`
         );
         return;
       }
       processedMessageContent = rawMessageContent
-        .substring(config.BOT_PREFIX.length)
+        .substring(botPrefix.length)
         .trim();
     }
 
-    // Cooldown check (after prefix and command checks)
-    if (userCooldowns.has(message.author.id)) {
-      logger.debug(`User ${message.author.tag} is on cooldown.`);
-      // Optionally send a message, or just silently ignore.
-      // await message.reply("Please wait a moment before sending another message.");
-      return;
-    }
-    userCooldowns.add(message.author.id);
-    setTimeout(
-      () => userCooldowns.delete(message.author.id),
-      config.COOLDOWN_TIME
-    );
-
-    // --- 3. Image Processing ---
-    let imageDescriptions = [];
-    const imageAttachments = message.attachments.filter((att) =>
-      att.contentType?.startsWith("image/")
+    // --- 3. Debouncing ---
+    // Messages sent in quick succession are answered together, once the sender goes quiet
+    await messageDebouncer.addMessage(
+      messageDebouncer.getBatchKey(channelId, message.author.id),
+      { message, content: processedMessageContent },
+      queueBatch
     );
-
-    if (
-      aiServiceProvider.isImageProcessingAvailable() &&
-      imageAttachments.size > 0
-    ) {
-      logger.log(
-        `Processing ${imageAttachments.size} image(s) from ${message.author.tag}...`
-      );
-      await message.channel.sendTyping();
-
-      for (const attachment of imageAttachments.values()) {
-        try {
-          logger.debug(`Fetching image: ${attachment.url}`);
-          const response = await fetch(attachment.url); // Ensure fetch is available (node-fetch or built-in)
-          if (!response.ok)
-            throw new Error(
-              `HTTP error fetching image! status: ${response.status}`
-            );
-
-          const arrayBuffer = await response.arrayBuffer();
-          const buffer = Buffer.from(arrayBuffer);
-          const base64Image = buffer.toString("base64");
-
-          logger.debug(
-            `Sending image ${attachment.name} to AI service for description.`
-          );
-          const description = await aiServiceProvider.describeImage(
-            base64Image,
-            config.IMAGE_READER_PROMPT
-          );
-
-          if (description) {
-            imageDescriptions.push(
-              `[Image Description for file]: ${description}`
-            );
-            logger.debug(`Successfully described image: ${attachment.name}`);
-          } else {
-            imageDescriptions.push(
-              `[Image Description for ${attachment.name}]: Could not generate description.`
-            );
-            logger.warn(
-              `AI service returned empty description for ${attachment.name}`
-            );
-          }
-        } catch (error) {
-          logger.error(`Error processing image ${attachment.name}:`, error);
-          imageDescriptions.push(
-            `[Image Description for ${attachment.name}]: Unable to process image.`
-          );
-        }
-      }
-      logger.debug(
-        `Finished processing images. Found ${imageDescriptions.length} descriptions.`
-      );
-    }
-
-    // --- 4. Construct Final Message for AI ---
-    let finalMessageContentForAI = processedMessageContent;
-    if (imageDescriptions.length > 0) {
-      const imageDescriptionText = imageDescriptions.join("\n");
-      finalMessageContentForAI = finalMessageContentForAI
-        ? `${finalMessageContentForAI}\n${imageDescriptionText}`
-        : imageDescriptionText;
-    }
-
-    if (!finalMessageContentForAI) {
-      // If only prefix was sent, or images failed and no text
-      if (
-        config.BOT_PREFIX &&
-        rawMessageContent
-          .toLowerCase()
-          .startsWith(config.BOT_PREFIX.toLowerCase())
-      ) {
-        logger.debug(
-          `Message from ${message.author.tag} was just prefix or unprocessable. Replying with "Hmm?".`
-        );
-        await message.reply("Hmm? Did you want to tell me something?");
-      } else {
-        logger.debug("No content for AI after processing. Ignoring.");
-      }
-      return;
-    }
-
-    // --- 5. AI Interaction ---
-    try {
-      if (!message.channel.typing) await message.channel.sendTyping();
-
-      const now = new Date();
-      const formattedTime = format(now, "HH:mm zzz", {
-        timeZone: config.TIMEZONE,
-      });
-
-      let userMessageForHistory = `[Time: ${formattedTime}] ${finalMessageContentForAI}`;
-      if (config.MULTIPLE_CHATTERS) {
-        const senderUsername =
-          message.author.globalName || message.author.username;
-        userMessageForHistory = `${senderUsername}: ${userMessageForHistory}`;
-      }
-
-      // Add DM context if applicable
-      if (isDM && config.INCLUDE_DM_CONTEXT) {
-        userMessageForHistory = `[Direct Message] ${userMessageForHistory}`;
-      }
-
-      // For DMs, check if user info is complete before proceeding with AI
-      if (isDM) {
-        const userId = message.author.id;
-        if (!userInfoManager.isUserInfoComplete(userId)) {
-          logger.log(
-            `User ${userId} has incomplete info. Redirecting to input command instead of AI.`
-          );
-          await message.channel.send(
-            `Before we can chat, pls use the \`${
-              config.COMMAND_PREFIX
-            } input\` command with the following required fields: ${userInfoManager
-              .getRequiredFields()
-              .join(", ")}`
-          );
-          return; // Stop processing - don't send to AI or save to history
-        }
-
-        logger.log(
-          `User ${userId} has complete info. Proceeding with AI chat.`
-        );
-      }
-
-      // Prepare messages for AI Service
-      let messagesForOllama = [];
-      const currentChannelHistory = historyManager.getChannelHistory(channelId);
-
-      // Add system prompt if Ollama and configured
-      if (config.AI_SERVICE === "OLLAMA" && config.OLLAMA_SYSTEM_PROMPT) {
-        messagesForOllama.push({
-          role: "system",
-          content: config.OLLAMA_SYSTEM_PROMPT,
-        });
-      }
-      // Note: Gemini might handle system prompts differently (e.g., in initialization or per-call options)
-
-      let historySliceForAI = [];
-      if (config.MAX_HISTORY_SIZE === -1) {
-        // Unlimited
-        historySliceForAI = [...currentChannelHistory];
-      } else if (config.MAX_HISTORY_SIZE > 0) {
-        // Limited
-        const startIndex = Math.max(
-          0,
-          currentChannelHistory.length - (config.MAX_HISTORY_SIZE - 1)
-        ); // -1 because current message is next
-        historySliceForAI = currentChannelHistory.slice(startIndex);
-      }
-      // If MAX_HISTORY_SIZE is 0, historySliceForAI remains empty, only current message is sent.
-
-      messagesForOllama.push(...historySliceForAI);
-      messagesForOllama.push({ role: "user", content: userMessageForHistory }); // Add current user message
-
-      logger.debug(
-        `Sending ${messagesForOllama.length} message segments to AI service.`
-      );
-
-      // Add options for the AI service, including channelId for user identification
-      const aiOptions = {
-        channelId: channelId,
-        temperature: config.AI_TEMPERATURE,
-      };
-
-      // Get the AI response
-      const aiResponse = await aiServiceProvider.chat(
-        messagesForOllama,
-        aiOptions
-      );
-
-      // Check if the response is null before using replaceAll
-      if (!aiResponse) {
-        logger.warn(`AI service returned null for message ID ${message.id}.`);
-
-        // For DM channels, this might be because user info is incomplete
-        if (isDM) {
-          await message.channel.send(
-            `I need some information from you before we can chat. Please use the \`${config.COMMAND_PREFIX} input\` command to provide your details.`
-          );
-        } else {
-          await message.channel.send(
-            "I... I don't have a response for that right now."
-          );
-        }
-
-        // Don't add to history when we get a null response
-        return;
-      }
-
-      // Process the response now that we know it's not null
-      let aiResponseContent = aiResponse.replaceAll(
-        "\n\n",
-        config.MESSAGE_SPLIT_TOKEN
-      );
-
-      // Remove single dot (but not double+ dots)
-      if (!config.ALLOW_SINGLE_DOT)
-        aiResponseContent = aiResponseContent.replace(/(?<!\.)\.(?!\.)/g, "");
-
-      if (aiResponseContent.trim() === "") {
-        logger.warn(
-          `AI service returned an empty or whitespace-only response for message ID ${message.id}.`
-        );
-        await message.channel.send(
-          "I... I don't have a response for that right now."
-        );
-        // Add user message to history even if AI fails to respond, to keep context for next turn
-        historyManager.addMessageToHistory(channelId, {
-          role: "user",
-          content: userMessageForHistory,
-        });
-        historyManager.addMessageToHistory(channelId, {
-          role: "assistant",
-          content: "[AI failed to generate a response]",
-        });
-        historyManager.saveHistory();
-        return;
-      }
-
-      // Add user and AI messages to persistent history
-      historyManager.addMessageToHistory(channelId, {
-        role: "user",
-        content: userMessageForHistory,
-      });
-      historyManager.addMessageToHistory(channelId, {
-        role: "assistant",
-        content: aiResponseContent,
-      });
-      historyManager.saveHistory(); // Save after successful interaction
-
-      // Send response to Discord
-      const tokenRegex = new RegExp(
-        `([.!?]*)\\s*${messageUtils.escapeRegExp(
-          config.MESSAGE_SPLIT_TOKEN
-        )}\\s*`,
-        "g"
-      );
-      const rawParts = aiResponseContent.split(tokenRegex);
-      const messageParts = [];
-      for (let i = 0; i < rawParts.length; i += 2) {
-        const currentPart = rawParts[i] || "";
-        const punctuation = rawParts[i + 1] || "";
-        if (i === rawParts.length - 1) {
-          // Last part
-          if (currentPart.trim()) messageParts.push(currentPart.trim());
-        } else if (currentPart.trim() || punctuation) {
-          messageParts.push((currentPart + punctuation).trim());
-        }
-      }
-
-      if (messageParts.length === 0 && aiResponseContent.trim()) {
-        // Fallback if regex split fails
-        messageParts.push(
-          ...aiResponseContent
-            .split(config.MESSAGE_SPLIT_TOKEN)
-            .map((p) => p.trim())
-            .filter((p) => p)
-        );
-      }
-
-      logger.debug(
-        `AI response split into ${messageParts.length} parts by token.`
-      );
-
-      for (let i = 0; i < messageParts.length; i++) {
-        const part = messageParts[i];
-        if (!part) continue;
-
-        const chunks = messageUtils.splitMessage(
-          part,
-          config.MESSAGE_CHUNK_SIZE
-        );
-        for (const chunk of chunks) {
-          let processedChunk = chunk;
-
-          // Check if emojis are not allowed
-          if (config.ALLOW_EMOJIS === false) {
-            // Filter emojis from the chunk
-            processedChunk = messageUtils.filterEmojis(chunk);
-          }
-
-          // Send the processed chunk (either original or filtered)
-          await message.channel.send(processedChunk);
-        }
-        if (i < messageParts.length - 1 && config.MESSAGE_SPLIT_DELAY_MS > 0) {
-          await new Promise((resolve) =>
-            setTimeout(resolve, config.MESSAGE_SPLIT_DELAY_MS)
-          );
-        }
-      }
-      if (
-        messageParts.length === 0 ||
-        messageParts.every((p) => p.trim() === "")
-      ) {
-        if (finalMessageContentForAI) {
-          // Only if there was something to respond to
-          await message.channel.send("... (No substantial response generated)");
-        }
-      }
-    } catch (error) {
-      logger.error(
-        `Error during AI interaction or response sending for message ID ${message.id}:`,
-        error
-      );
-      // Attempt to rollback history for the user's last message if AI call failed before assistant response was added
-      // This is a bit tricky as the user message is added before the call in the current flow.
-      // A more robust rollback might involve checking the last item in history.
-      // For now, just log and send a generic error.
-      // historyManager.removeLastUserMessageIfFailed(channelId, userMessageForHistory); // This function would need careful implementation
-
-      let userErrorMessage =
-        "Something unexpected happened, and I couldn't quite process that. So sorry!";
-      if (
-        error.message &&
-        error.message.toLowerCase().includes("econnrefused")
-      ) {
-        userErrorMessage = `I'm having trouble connecting to my brain right now (${config.AI_SERVICE}). Please ensure it's running and accessible.`;
-      } else if (
-        error.message &&
-        error.message.toLowerCase().includes("model")
-      ) {
-        userErrorMessage = `There seems to be an issue with the AI model I'm trying to use (${config.AI_SERVICE}). Maybe it's not available?`;
-      }
-      await message.channel.send(userErrorMessage);
-    }
   },
 };
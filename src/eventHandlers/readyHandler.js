@@ -6,6 +6,7 @@ const logger = require("../logger");
 const historyManager = require("../utils/historyManager");
 const aiServiceProvider = require("../aiServiceProvider");
 const proactiveMessaging = require("../utils/proactiveMessaging");
+const commandHandler = require("../commands/commandHandler");
 const config = require("../../config");
 
 module.exports = {
@@ -43,6 +44,11 @@ module.exports = {
       logger.debug("Proactive messaging is disabled in configuration.");
     }
 
+    // Offer the commands as slash commands too
+    if (config.SLASH_COMMANDS) {
+      commandHandler.registerSlashCommands(client);
+    }
+
     // You can add other setup tasks here, like setting bot activity
     client.user.setActivity("for messages", { type: "WATCHING" }); // Example activity
   },
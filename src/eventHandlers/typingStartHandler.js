@@ -0,0 +1,22 @@
+// src/eventHandlers/typingStartHandler.js
+// Handles the 'TypingStart' event from Discord.js.
+
+const { Events } = require("discord.js");
+const messageDebouncer = require("../utils/messageDebouncer");
+
+module.exports = {
+  name: Events.TypingStart,
+  /**
+   * Executes when a user starts typing. Messages they already sent keep waiting
+   * for the rest of what they are writing.
+   * @param {import('discord.js').Typing} typing The typing state.
+   */
+  execute(typing) {
+    if (!typing.user || typing.user.bot) return;
+    const isDM = typing.channel.type === 1;
+    const channelId = isDM ? `dm_${typing.user.id}` : typing.channel.id;
+    messageDebouncer.noteTyping(
+      messageDebouncer.getBatchKey(channelId, typing.user.id)
+    );
+  },
+};
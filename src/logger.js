@@ -35,31 +35,20 @@ const logger = {
 logger.log(
   `Logger initialized. Debug mode is ${config.DEBUG_MODE ? "ON" : "OFF"}.`
 );
-logger.log(`Selected AI Service: ${config.AI_SERVICE}`);
+logger.log(`Selected AI Service(s): ${config.AI_SERVICES.join(" -> ")}`);
+if (config.TRIGGER_MODE === "mention")
+  logger.log(
+    "Trigger mode: mention. Bot responds in any channel when it is addressed."
+  );
 if (config.TARGET_CHANNEL_ID)
   logger.log(`Target Channel ID: ${config.TARGET_CHANNEL_ID}`);
-else
+else if (config.TRIGGER_MODE !== "mention")
   logger.warn(
     "TARGET_CHANNEL_ID is not set. Bot will respond in all channels."
   );
 if (config.BOT_PREFIX) logger.log(`Bot prefix: "${config.BOT_PREFIX}"`);
 if (config.IGNORE_PREFIX)
   logger.log(`Ignore prefix: "${config.IGNORE_PREFIX}"`);
-if (config.AI_SERVICE === "OLLAMA") {
-  logger.log(`Ollama Host: ${config.OLLAMA_HOST}`);
-  logger.log(`Ollama Model: ${config.OLLAMA_MODEL}`);
-  if (config.OLLAMA_SYSTEM_PROMPT) logger.log("Ollama system prompt is set.");
-  if (config.IMAGE_READER_MODEL)
-    logger.log(`Image Reader Model: ${config.IMAGE_READER_MODEL}`);
-  else
-    logger.warn(
-      "IMAGE_READER_MODEL is not set for Ollama. Image analysis disabled."
-    );
-}
-if (config.AI_SERVICE === "GEMINI") {
-  logger.log(`Gemini Model: ${config.GEMINI_MODEL}`);
-  if (!config.GEMINI_API_KEY)
-    logger.warn("GEMINI_API_KEY is not set for Gemini service.");
-}
+// Provider-specific settings are logged by aiServiceProvider once the provider is initialized.
 
 module.exports = logger;
@@ -0,0 +1,126 @@
+// src/providerRegistry.js
+// Keeps track of the available AI providers and discovers them from src/services/.
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * The contract every AI provider module must follow. Modules in src/services/
+ * that export a `name` and a `chat` function are registered automatically.
+ *
+ * @typedef {object} AIProvider
+ * @property {string} name Unique upper-case name used in AI_SERVICE (e.g., "OLLAMA").
+ * @property {string} [displayName] Human readable name for logs and the info command.
+ * @property {{vision?: boolean, embeddings?: boolean, tools?: boolean, listModels?: boolean}} [capabilities]
+ *   Capability flags. `vision` means describeImage can be used with the current configuration.
+ * @property {() => {errors: string[], warnings: string[]}} [validateConfig]
+ *   Checks the provider's configuration before initialization. Errors prevent initialization.
+ * @property {() => boolean} initialize Sets up the client. Returns true on success.
+ * @property {() => boolean} isAvailable Whether the client is ready to serve requests.
+ * @property {() => string} getDefaultModel The configured chat model.
+ * @property {() => string|undefined} [getSystemPrompt] The system prompt template applied when
+ *   the caller passes none. The AI service provider fills its placeholders (see promptTemplate)
+ *   and passes the result as `options.systemPrompt`. Counted against the context window.
+ * @property {(messages: Array<{role: string, content: string}>, modelName: string, options: object) => Promise<string|null>} chat
+ *   Sends the conversation (without a system message) and returns the reply, or null on error.
+ *   The provider applies `options.systemPrompt` when given (already rendered), else its own.
+ *   Generation options are `options.temperature`, `options.topP` and `options.maxTokens`
+ *   (reply length limit); unset ones keep the provider's defaults.
+ * @property {(messages: Array<{role: string, content: string}>, modelName: string, options: object) => AsyncIterable<string>} [chatStream]
+ *   Same as chat, but yields text deltas as they arrive. Providers without it are streamed as one chunk.
+ * @property {(messages: Array<object>, modelName: string, options: object) => Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: object}>}|null>} [chatWithTools]
+ *   Same as chat, but offers the model `options.tools` and returns the tools it wants to call.
+ *   Messages may include assistant turns with `toolCalls` and `{role: "tool", name, toolCallId, content}` results.
+ * @property {(base64Image: string, prompt: string) => Promise<string|null>} [describeImage]
+ *   Describes an image. Only used when `capabilities.vision` is true.
+ * @property {(input: string|string[], modelName?: string) => Promise<number[][]|null>} [embed]
+ *   Returns one embedding vector per input. Only used when `capabilities.embeddings` is true.
+ * @property {() => string} [getEmbeddingModel] The model embed uses by default.
+ * @property {(modelName: string) => boolean} [supportsImageInput] Whether the chat model accepts
+ *   messages with `images` ([{data: base64, mimeType}]). Other models get image descriptions instead.
+ * @property {() => Promise<string[]|null>} [listModels] Lists the models the backend can serve.
+ * @property {() => Array<[string, string]>} [describeConfig]
+ *   Label/value pairs describing the active configuration (shown in logs and the info command).
+ */
+
+/** @type {Map<string, AIProvider>} */
+const providers = new Map();
+
+/**
+ * Checks whether a module looks like an AI provider.
+ * @param {object} candidate The module to check.
+ * @returns {boolean} True if the module satisfies the required part of the contract.
+ */
+const isProvider = (candidate) =>
+  !!candidate &&
+  typeof candidate.name === "string" &&
+  typeof candidate.initialize === "function" &&
+  typeof candidate.isAvailable === "function" &&
+  typeof candidate.chat === "function";
+
+/**
+ * Registers a provider by name. A provider registered later replaces an earlier one with the same name.
+ * @param {AIProvider} provider The provider module.
+ * @returns {boolean} True if the provider was registered.
+ */
+const registerProvider = (provider) => {
+  if (!isProvider(provider)) {
+    logger.warn(
+      "Refusing to register AI provider: it does not implement name, initialize, isAvailable and chat."
+    );
+    return false;
+  }
+  const name = provider.name.toUpperCase();
+  if (providers.has(name)) {
+    logger.warn(`AI provider ${name} is already registered. Replacing it.`);
+  }
+  providers.set(name, provider);
+  logger.debug(`Registered AI provider: ${name}`);
+  return true;
+};
+
+/**
+ * Requires every module in src/services/ and registers those that are providers.
+ * Modules that are not providers (e.g., helper services) are skipped silently.
+ */
+const discoverProviders = () => {
+  const servicesPath = path.join(__dirname, "services");
+  const serviceFiles = fs
+    .readdirSync(servicesPath)
+    .filter((file) => file.endsWith(".js"));
+
+  for (const file of serviceFiles) {
+    try {
+      const candidate = require(path.join(servicesPath, file));
+      // Names that are already taken keep their provider, so discovery can run more than once
+      // and providers registered by hand are not overwritten
+      if (isProvider(candidate) && !getProvider(candidate.name)) {
+        registerProvider(candidate);
+      }
+    } catch (error) {
+      logger.error(`Error loading AI provider module ${file}:`, error);
+    }
+  }
+};
+
+/**
+ * Gets a registered provider.
+ * @param {string} name The provider name (case-insensitive).
+ * @returns {AIProvider|null} The provider, or null if none is registered under that name.
+ */
+const getProvider = (name) =>
+  (name && providers.get(String(name).toUpperCase())) || null;
+
+/**
+ * Lists the names of all registered providers.
+ * @returns {string[]} Provider names.
+ */
+const listProviders = () => Array.from(providers.keys());
+
+module.exports = {
+  registerProvider,
+  discoverProviders,
+  getProvider,
+  listProviders,
+};
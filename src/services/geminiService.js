@@ -13,6 +13,59 @@ const userInfoManager = require("../utils/userInfoManager");
 let genAI;
 let geminiChatModel;
 let geminiVisionModel; // For image processing
+const chatModelsByName = new Map(); // Models other than GEMINI_MODEL, created on demand
+
+const name = "GEMINI";
+const displayName = "Gemini";
+const capabilities = {
+  // Add logic here if Gemini has specific model requirements for vision
+  // e.g., vision: config.GEMINI_MODEL.includes("vision")
+  vision: true, // Assume Gemini can if service is active
+  embeddings: !!config.GEMINI_EMBED_MODEL,
+  tools: true,
+  listModels: true,
+};
+
+/**
+ * Checks the Gemini configuration.
+ * @returns {{errors: string[], warnings: string[]}} Configuration problems.
+ */
+const validateConfig = () => {
+  const errors = [];
+  const warnings = [];
+  if (!config.GEMINI_API_KEY) {
+    errors.push(
+      "GEMINI_API_KEY is not set in your .env file, but AI_SERVICE includes GEMINI."
+    );
+  }
+  if (!process.env.GEMINI_MODEL) {
+    warnings.push(
+      `GEMINI_MODEL is not set for Gemini service. Using default (${config.GEMINI_MODEL}).`
+    );
+  }
+  return { errors, warnings };
+};
+
+const getDefaultModel = () => config.GEMINI_MODEL;
+
+// Personalized instructions only differ by the filled-in user fields
+const getSystemPrompt = () => config.GEMINI_SYSTEM_INSTRUCTION;
+
+const getEmbeddingModel = () => config.GEMINI_EMBED_MODEL;
+
+// Gemini chat models are multimodal
+const supportsImageInput = () => true;
+
+/**
+ * Describes the active Gemini configuration.
+ * @returns {Array<[string, string]>} Label/value pairs.
+ */
+const describeConfig = () => [
+  ["Gemini Model", config.GEMINI_MODEL || "Not set"],
+  ["API Key Set", config.GEMINI_API_KEY ? "Yes" : "No"],
+  ["System Instruction Set", config.GEMINI_SYSTEM_INSTRUCTION ? "Yes" : "No"],
+  ["Embedding Model", config.GEMINI_EMBED_MODEL || "Not set (disabled)"],
+];
 
 const initialize = () => {
   if (!config.GEMINI_API_KEY) {
@@ -93,54 +146,76 @@ const initialize = () => {
 const isAvailable = () => !!genAI && !!geminiChatModel;
 
 /**
- * Personalizes the system instruction with user info
- * @param {string} userId Discord user ID
- * @returns {string} Personalized system instruction
+ * Gets the chat model for a model name, reusing the safety settings of the default model.
+ * @param {string} [modelName] The Gemini model name. Defaults to GEMINI_MODEL.
+ * @returns {import('@google/generative-ai').GenerativeModel} The model.
  */
-const getPersonalizedSystemInstruction = (userId) => {
-  logger.log(`Personalizing system instruction for user: ${userId}`);
-
-  if (!config.GEMINI_SYSTEM_INSTRUCTION) {
-    logger.log("No system instruction configured, returning undefined");
-    return undefined;
+const getChatModel = (modelName) => {
+  if (!modelName || modelName === config.GEMINI_MODEL) return geminiChatModel;
+  if (!chatModelsByName.has(modelName)) {
+    logger.log(`Creating Gemini chat client for model: ${modelName}`);
+    chatModelsByName.set(
+      modelName,
+      genAI.getGenerativeModel({
+        model: modelName,
+        safetySettings: geminiChatModel.safetySettings,
+      })
+    );
   }
+  return chatModelsByName.get(modelName);
+};
 
-  // Ensure userId is a string
-  const userIdStr = String(userId);
-  const userInfo = userInfoManager.getUserInfo(userIdStr);
+/**
+ * Converts images attached to a message to Gemini inlineData parts.
+ * @param {Array<{data: string, mimeType: string}>} [images] Base64 images.
+ * @returns {Array<object>} Gemini parts.
+ */
+const toInlineDataParts = (images) =>
+  (images || []).map((image) => ({
+    inlineData: { data: image.data, mimeType: image.mimeType },
+  }));
 
-  if (!userInfo) {
-    logger.log(
-      `No user info found for ${userIdStr}, returning default instruction`
+/**
+ * Converts a generic message to Gemini parts. Assistant tool calls become functionCall
+ * parts and tool results (role "tool") become functionResponse parts.
+ * @param {{role: string, content: string, name?: string, toolCalls?: Array<object>}} msg The message.
+ * @returns {Array<object>} Gemini parts.
+ */
+const toGeminiParts = (msg) => {
+  if (msg.role === "tool") {
+    return [
+      {
+        functionResponse: {
+          name: msg.name,
+          response: { content: msg.content },
+        },
+      },
+    ];
+  }
+  if (msg.toolCalls) {
+    const parts = msg.content ? [{ text: msg.content }] : [];
+    return parts.concat(
+      msg.toolCalls.map((call) => ({
+        functionCall: { name: call.name, args: call.arguments },
+      }))
     );
-    return config.GEMINI_SYSTEM_INSTRUCTION;
   }
-
-  logger.log(`Found user info: ${JSON.stringify(userInfo)}`);
-  let instruction = config.GEMINI_SYSTEM_INSTRUCTION;
-
-  // Replace placeholders with user info
-  Object.keys(userInfo).forEach((field) => {
-    const placeholder = `<${field}>`;
-    const value = userInfo[field] || "";
-
-    // Log each replacement
-    logger.log(`Replacing placeholder "${placeholder}" with "${value}"`);
-
-    // Use a global regex to replace all instances of the placeholder
-    const regex = new RegExp(placeholder, "g");
-    instruction = instruction.replace(regex, value);
-  });
-
-  logger.log(`Personalized instruction: "${instruction.substring(0, 50)}..."`);
-  return instruction;
+  return [{ text: msg.content }, ...toInlineDataParts(msg.images)];
 };
 
+/**
+ * Maps a generic role to Gemini's: 'assistant' is 'model', tool results are 'function'.
+ * @param {string} role The generic role.
+ * @returns {string} The Gemini role.
+ */
+const toGeminiRole = (role) =>
+  role === "assistant" ? "model" : role === "tool" ? "function" : "user";
+
 /**
  * Transforms the bot's generic message history to Gemini's format.
- * Gemini expects roles 'user' and 'model'.
+ * Gemini expects roles 'user' and 'model' (plus 'function' for tool results).
  * @param {Array<{role: string, content: string}>} messages Bot's message history.
- * @returns {Array<{role: string, parts: Array<{text: string}>}>} Messages formatted for Gemini.
+ * @returns {Array<{role: string, parts: Array<object>}>} Messages formatted for Gemini.
  */
 const formatMessagesForGemini = (messages) => {
   const geminiMessages = [];
@@ -148,7 +223,7 @@ const formatMessagesForGemini = (messages) => {
   let currentParts = [];
 
   for (const msg of messages) {
-    const role = msg.role === "assistant" ? "model" : "user"; // Map 'assistant' to 'model'
+    const role = toGeminiRole(msg.role);
 
     // Gemini requires alternating user/model roles for conversational history.
     // If consecutive messages have the same role, they should be merged or handled.
@@ -158,7 +233,7 @@ const formatMessagesForGemini = (messages) => {
 
     if (role === currentRole) {
       // Append to current message parts if same role
-      currentParts.push({ text: msg.content });
+      currentParts.push(...toGeminiParts(msg));
     } else {
       // Push previous role's message if it exists
       if (currentRole && currentParts.length > 0) {
@@ -166,7 +241,7 @@ const formatMessagesForGemini = (messages) => {
       }
       // Start new message
       currentRole = role;
-      currentParts = [{ text: msg.content }];
+      currentParts = toGeminiParts(msg);
     }
   }
   // Push the last message
@@ -180,30 +255,46 @@ const formatMessagesForGemini = (messages) => {
 
   // Filter out empty parts or messages, which can cause errors
   return geminiMessages.filter((msg) =>
-    msg.parts.every((part) => part.text && part.text.trim() !== "")
+    msg.parts.every(
+      (part) =>
+        part.functionCall ||
+        part.functionResponse ||
+        part.inlineData ||
+        (part.text && part.text.trim() !== "")
+    )
   );
 };
 
 /**
- * Sends a chat request to the Gemini API.
- * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
- * @param {string} modelName - This is passed by aiServiceProvider but might be ignored if geminiChatModel is pre-initialized with a specific model.
- * @param {object} options Additional options for the Gemini API (e.g., temperature).
- * @returns {Promise<string|null>} The AI's response content, or null on error.
+ * Converts tools to Gemini function declarations.
+ * Gemini rejects object schemas without properties, so those are left out.
+ * @param {Array<import('../tools/toolRegistry').AITool>} tools The tools to offer.
+ * @returns {Array<object>} The value for the `tools` chat option.
  */
-const chat = async (messages, modelName, options = {}) => {
-  if (!isAvailable()) {
-    logger.error(
-      "Gemini client is not initialized or configured. Cannot send chat request."
-    );
-    return null;
-  }
-
-  if (!messages || messages.length === 0) {
-    logger.warn("Gemini chat called with no messages.");
-    return null;
-  }
+const toGeminiTools = (tools) => [
+  {
+    functionDeclarations: tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      parameters:
+        Object.keys(tool.parameters.properties || {}).length > 0
+          ? tool.parameters
+          : undefined,
+    })),
+  },
+];
 
+/**
+ * Prepares a Gemini chat session for the conversation: resolves the user, the
+ * system instruction and the history. Shared by chat and chatStream.
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The Gemini model to use.
+ * @param {object} options Additional options for the Gemini API (e.g., temperature, tools).
+ * @returns {{reply: string}|{chatSession: object, content: string|Array<object>}} Either a reply
+ *   to send without asking the model (e.g., missing user info), or the session and the message
+ *   to send (the user's text, or functionResponse parts when continuing after tool calls).
+ */
+const prepareChatSession = (messages, modelName, options) => {
   // Extract user ID from the channel ID, which is formatted as "dm_userId"
   // This assumes the message is from a DM channel with the format our bot uses
   let userId = null;
@@ -241,16 +332,17 @@ const chat = async (messages, modelName, options = {}) => {
 
         let commandPrefix = require("../../config").COMMAND_PREFIX;
 
-        return (
-          `Before we can chat, pls provide the following:${config.MESSAGE_SPLIT_TOKEN}` +
-          `${missingFields
-            .map(
-              (field) =>
-                `- ${field}: Use \`${commandPrefix} input ${field} your_${field}\``
-            )
-            .join("\n")}${config.MESSAGE_SPLIT_TOKEN}` +
-          `pls.`
-        );
+        return {
+          reply:
+            `Before we can chat, pls provide the following:${config.MESSAGE_SPLIT_TOKEN}` +
+            `${missingFields
+              .map(
+                (field) =>
+                  `- ${field}: Use \`${commandPrefix} input ${field} your_${field}\``
+              )
+              .join("\n")}${config.MESSAGE_SPLIT_TOKEN}` +
+            `pls.`,
+        };
       }
 
       // Log the user info for debugging
@@ -267,176 +359,373 @@ const chat = async (messages, modelName, options = {}) => {
     logger.log("Gemini: No channelId provided in options");
   }
 
-  // The last message in `messages` is the current user's turn.
+  // The current turn is the last user message, or all trailing tool results
+  // when the model asked for tools in its previous turn.
+  let currentTurnStart = messages.length - 1;
+  while (
+    currentTurnStart > 0 &&
+    messages[currentTurnStart - 1].role === "tool"
+  ) {
+    currentTurnStart--;
+  }
   const currentUserMessage = messages[messages.length - 1];
-  // The history is all messages *before* the current user's turn.
-  const historyMessages = messages.slice(0, messages.length - 1);
+  const isToolTurn = currentUserMessage.role === "tool";
+  // The history is all messages *before* the current turn.
+  const historyMessages = messages.slice(
+    0,
+    isToolTurn ? currentTurnStart : messages.length - 1
+  );
 
   const formattedHistory = formatMessagesForGemini(historyMessages);
 
   logger.debug(
-    `Sending chat to Gemini. History length: ${
-      formattedHistory.length
-    }, Current message: "${currentUserMessage.content.substring(0, 50)}..."`
+    `Sending chat to Gemini. History length: ${formattedHistory.length}, Current message: "${
+      isToolTurn
+        ? "[tool results]"
+        : currentUserMessage.content.substring(0, 50)
+    }..."`
   );
   logger.debug(
     "Formatted History for Gemini:",
     JSON.stringify(formattedHistory, null, 2)
   );
 
-  try {
-    // Get personalized system instruction if user ID is available
-    const systemInstruction = userId
-      ? getPersonalizedSystemInstruction(userId)
+  // The AI service provider passes the instruction with its placeholders filled
+  const systemInstruction =
+    options.systemPrompt !== undefined
+      ? options.systemPrompt
       : config.GEMINI_SYSTEM_INSTRUCTION;
 
-    logger.debug(
-      `Using ${
-        userId ? "personalized" : "default"
-      } system instruction for Gemini chat.`
-    );
+  // For Gemini 1.5 models and later, the system instruction format is different
+  // For newer models it may need to be passed as a regular message with role 'system'
+  const modelIsGemini2x =
+    modelName &&
+    (modelName.includes("gemini-2") || modelName.includes("flash-preview"));
 
-    // For Gemini 1.5 models and later, the system instruction format is different
-    // For newer models it may need to be passed as a regular message with role 'system'
-    const modelIsGemini2x =
-      config.GEMINI_MODEL &&
-      (config.GEMINI_MODEL.includes("gemini-2") ||
-        config.GEMINI_MODEL.includes("flash-preview"));
-
-    let chatOptions = {
-      history: formattedHistory,
-      generationConfig: {
-        temperature: options.temperature || 0.7,
-      },
-    };
-
-    // Handle system instruction based on model version
-    if (modelIsGemini2x) {
-      // For Gemini 2.x models, we need a different approach
-      // The API doesn't allow system messages at the beginning
-      // Instead, we'll append the system instruction to the first user message
-      if (systemInstruction && formattedHistory.length > 0) {
-        logger.debug(
-          "For Gemini 2.x: Adding system instruction to the first user message"
-        );
+  let chatOptions = {
+    history: formattedHistory,
+    generationConfig: {
+      temperature: options.temperature ?? 0.7,
+    },
+  };
+  if (options.topP !== undefined) {
+    chatOptions.generationConfig.topP = options.topP;
+  }
+  if (options.maxTokens !== undefined) {
+    chatOptions.generationConfig.maxOutputTokens = options.maxTokens;
+  }
+
+  // Handle system instruction based on model version
+  if (modelIsGemini2x) {
+    // For Gemini 2.x models, we need a different approach
+    // The API doesn't allow system messages at the beginning
+    // Instead, we'll append the system instruction to the first user message
+    if (systemInstruction && formattedHistory.length > 0) {
+      logger.debug(
+        "For Gemini 2.x: Adding system instruction to the first user message"
+      );
+
+      // Find the first user message
+      for (let i = 0; i < formattedHistory.length; i++) {
+        if (formattedHistory[i].role === "user") {
+          logger.debug(
+            "Found first user message, appending system instruction"
+          );
+
+          // Add the system instruction to the user's message. Image parts carry no
+          // text, so it goes to the first text part, or into a new one in front
+          const firstUserMessage = formattedHistory[i];
+          const instructionText = `[SYSTEM INSTRUCTION: ${systemInstruction}]`;
+          const firstTextPart = firstUserMessage.parts.find(
+            (part) => typeof part.text === "string"
+          );
 
-        // Find the first user message
-        for (let i = 0; i < formattedHistory.length; i++) {
-          if (formattedHistory[i].role === "user") {
-            logger.debug(
-              "Found first user message, appending system instruction"
-            );
-
-            // Add the system instruction to the user's message
-            const firstUserMessage = formattedHistory[i];
-            const lastPartIndex = firstUserMessage.parts.length - 1;
-
-            if (lastPartIndex >= 0) {
-              // Add system instruction to the user's message
-              firstUserMessage.parts[
-                lastPartIndex
-              ].text = `[SYSTEM INSTRUCTION: ${systemInstruction}]\n\n${firstUserMessage.parts[lastPartIndex].text}`;
-
-              logger.debug(
-                "Modified first user message with system instruction"
-              );
-            }
-
-            break;
+          if (firstTextPart) {
+            firstTextPart.text = `${instructionText}\n\n${firstTextPart.text}`;
+          } else {
+            firstUserMessage.parts.unshift({ text: instructionText });
           }
-        }
-      } else if (systemInstruction && formattedHistory.length === 0) {
-        // If no history but we have a system instruction, add it to the current message
-        logger.debug(
-          "No history, adding system instruction to current user message"
-        );
+          logger.debug("Modified first user message with system instruction");
 
-        // Create a modified version of the current user message with the system instruction
-        const originalContent = currentUserMessage.content;
-        currentUserMessage.content = `[SYSTEM INSTRUCTION: ${systemInstruction}]\n\n${originalContent}`;
-        logger.debug("Modified current user message with system instruction");
-      } else {
-        logger.debug(
-          "No system instruction or no messages to modify for Gemini 2.x"
-        );
+          break;
+        }
       }
+    } else if (
+      systemInstruction &&
+      formattedHistory.length === 0 &&
+      !isToolTurn
+    ) {
+      // If no history but we have a system instruction, add it to the current message
+      logger.debug(
+        "No history, adding system instruction to current user message"
+      );
+
+      // Create a modified version of the current user message with the system instruction
+      const originalContent = currentUserMessage.content;
+      currentUserMessage.content = `[SYSTEM INSTRUCTION: ${systemInstruction}]\n\n${originalContent}`;
+      logger.debug("Modified current user message with system instruction");
     } else {
-      // For Gemini 1.x models, use systemInstruction parameter
       logger.debug(
-        "Using standard systemInstruction parameter for Gemini 1.x model"
+        "No system instruction or no messages to modify for Gemini 2.x"
+      );
+    }
+  } else {
+    // For Gemini 1.x models, use systemInstruction parameter
+    logger.debug(
+      "Using standard systemInstruction parameter for Gemini 1.x model"
+    );
+    chatOptions.systemInstruction = systemInstruction || undefined;
+  }
+
+  if (options.tools && options.tools.length > 0) {
+    chatOptions.tools = toGeminiTools(options.tools);
+  }
+
+  // Start a chat session with history and appropriate system instruction format
+  const chatSession = getChatModel(modelName).startChat(chatOptions);
+
+  let content = currentUserMessage.content;
+  if (isToolTurn) {
+    content = messages.slice(currentTurnStart).flatMap(toGeminiParts);
+  } else if (currentUserMessage.images && currentUserMessage.images.length > 0) {
+    content = [
+      { text: content },
+      ...toInlineDataParts(currentUserMessage.images),
+    ];
+  }
+  return { chatSession, content };
+};
+
+/**
+ * Extracts the reply text from a Gemini response, explaining blocked responses.
+ * @param {object} response The response from sendMessage.
+ * @returns {string|null} The reply, or null if the response is empty.
+ */
+const readChatResponse = (response) => {
+  if (response.promptFeedback && response.promptFeedback.blockReason) {
+    logger.error(
+      `Gemini API blocked the prompt. Reason: ${response.promptFeedback.blockReason}`
+    );
+    logger.error(
+      "Block Reason Details:",
+      response.promptFeedback.blockReasonMessage || "No details provided."
+    );
+    logger.error(
+      "Safety Ratings:",
+      JSON.stringify(response.promptFeedback.safetyRatings, null, 2)
+    );
+    return `[AI response blocked due to: ${response.promptFeedback.blockReason}. Please rephrase your message or check safety settings.]`;
+  }
+
+  if (
+    !response.candidates ||
+    response.candidates.length === 0 ||
+    !response.candidates[0].content
+  ) {
+    logger.warn("Gemini API returned no candidates or empty content.");
+    if (
+      response.candidates &&
+      response.candidates[0] &&
+      response.candidates[0].finishReason
+    ) {
+      logger.warn(
+        `Candidate Finish Reason: ${response.candidates[0].finishReason}`
       );
-      chatOptions.systemInstruction = systemInstruction || undefined;
+      if (response.candidates[0].finishReason === "SAFETY") {
+        logger.error("Gemini API blocked the response due to safety settings.");
+        logger.error(
+          "Safety Ratings for candidate:",
+          JSON.stringify(response.candidates[0].safetyRatings, null, 2)
+        );
+        return "[AI response blocked by safety filters.]";
+      }
     }
+    return null;
+  }
+
+  return response.candidates[0].content.parts
+    .map((part) => part.text || "")
+    .join("");
+};
+
+/**
+ * Logs an error thrown by the Gemini SDK.
+ * @param {Error} error The error.
+ * @param {string} action The method that failed, for the log.
+ */
+const logChatError = (error, action) => {
+  logger.error(`Error interacting with Gemini API (${action}):`, error);
+  if (error.message) logger.error("Error message:", error.message);
+  if (error.response && error.response.data) {
+    // For axios-like errors if the SDK wraps HTTP errors
+    logger.error(
+      "Error response data:",
+      JSON.stringify(error.response.data, null, 2)
+    );
+  }
+};
 
-    // Start a chat session with history and appropriate system instruction format
-    const chatSession = geminiChatModel.startChat(chatOptions);
+/**
+ * Sends a chat request to the Gemini API.
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The Gemini model to use (overrides default).
+ * @param {object} options Additional options for the Gemini API (e.g., temperature).
+ * @returns {Promise<string|null>} The AI's response content, or null on error.
+ */
+const chat = async (
+  messages,
+  modelName = config.GEMINI_MODEL,
+  options = {}
+) => {
+  if (!isAvailable()) {
+    logger.error(
+      "Gemini client is not initialized or configured. Cannot send chat request."
+    );
+    return null;
+  }
 
-    const result = await chatSession.sendMessage(currentUserMessage.content); // Send only the latest user message content
+  if (!messages || messages.length === 0) {
+    logger.warn("Gemini chat called with no messages.");
+    return null;
+  }
+
+  try {
+    const prepared = prepareChatSession(messages, modelName, options);
+    if (prepared.reply) return prepared.reply;
+
+    const result = await prepared.chatSession.sendMessage(prepared.content); // Send only the latest user message content
     const response = result.response;
 
     logger.debug(
       "Full Gemini API Response:",
       JSON.stringify(response, null, 2)
     );
+    return readChatResponse(response);
+  } catch (error) {
+    logChatError(error, "chat");
+    return null;
+  }
+};
 
-    if (response.promptFeedback && response.promptFeedback.blockReason) {
-      logger.error(
-        `Gemini API blocked the prompt. Reason: ${response.promptFeedback.blockReason}`
-      );
-      logger.error(
-        "Block Reason Details:",
-        response.promptFeedback.blockReasonMessage || "No details provided."
-      );
-      logger.error(
-        "Safety Ratings:",
-        JSON.stringify(response.promptFeedback.safetyRatings, null, 2)
-      );
-      return `[AI response blocked due to: ${response.promptFeedback.blockReason}. Please rephrase your message or check safety settings.]`;
+/**
+ * Sends a chat request that offers the model the given tools.
+ * @param {Array<object>} messages The messages array for the chat, including earlier tool turns.
+ * @param {string} modelName The Gemini model to use (overrides default).
+ * @param {object} options Additional options for the Gemini API; `tools` holds the tools to offer.
+ * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: object}>}|null>}
+ *   The reply and the tools the model wants to call, or null on error.
+ */
+const chatWithTools = async (
+  messages,
+  modelName = config.GEMINI_MODEL,
+  options = {}
+) => {
+  if (!isAvailable()) {
+    logger.error(
+      "Gemini client is not initialized or configured. Cannot send chat request."
+    );
+    return null;
+  }
+
+  if (!messages || messages.length === 0) {
+    logger.warn("Gemini chatWithTools called with no messages.");
+    return null;
+  }
+
+  try {
+    const prepared = prepareChatSession(messages, modelName, options);
+    if (prepared.reply) return { content: prepared.reply, toolCalls: [] };
+
+    const result = await prepared.chatSession.sendMessage(prepared.content);
+    const response = result.response;
+
+    logger.debug(
+      "Full Gemini API Response:",
+      JSON.stringify(response, null, 2)
+    );
+
+    const functionCalls = response.functionCalls() || [];
+    if (functionCalls.length > 0) {
+      return {
+        content: response.candidates[0].content.parts
+          .map((part) => part.text || "")
+          .join(""),
+        toolCalls: functionCalls.map((call, index) => ({
+          id: `call_${index}`,
+          name: call.name,
+          arguments: call.args || {},
+        })),
+      };
     }
 
-    if (
-      !response.candidates ||
-      response.candidates.length === 0 ||
-      !response.candidates[0].content
-    ) {
-      logger.warn("Gemini API returned no candidates or empty content.");
-      if (
-        response.candidates &&
-        response.candidates[0] &&
-        response.candidates[0].finishReason
-      ) {
-        logger.warn(
-          `Candidate Finish Reason: ${response.candidates[0].finishReason}`
+    const content = readChatResponse(response);
+    return content ? { content, toolCalls: [] } : null;
+  } catch (error) {
+    logChatError(error, "chatWithTools");
+    return null;
+  }
+};
+
+/**
+ * Streams a chat response from the Gemini API.
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The Gemini model to use (overrides default).
+ * @param {object} options Additional options for the Gemini API (e.g., temperature).
+ * @returns {AsyncGenerator<string>} Text deltas as they arrive. Ends early on error.
+ */
+const chatStream = async function* (
+  messages,
+  modelName = config.GEMINI_MODEL,
+  options = {}
+) {
+  if (!isAvailable()) {
+    logger.error(
+      "Gemini client is not initialized or configured. Cannot stream chat request."
+    );
+    return;
+  }
+
+  if (!messages || messages.length === 0) {
+    logger.warn("Gemini chatStream called with no messages.");
+    return;
+  }
+
+  try {
+    const prepared = prepareChatSession(messages, modelName, options);
+    if (prepared.reply) {
+      yield prepared.reply;
+      return;
+    }
+
+    const result = await prepared.chatSession.sendMessageStream(
+      prepared.content
+    );
+    for await (const chunk of result.stream) {
+      if (chunk.promptFeedback && chunk.promptFeedback.blockReason) {
+        logger.error(
+          `Gemini API blocked the prompt. Reason: ${chunk.promptFeedback.blockReason}`
         );
-        if (response.candidates[0].finishReason === "SAFETY") {
-          logger.error(
-            "Gemini API blocked the response due to safety settings."
-          );
+        yield `[AI response blocked due to: ${chunk.promptFeedback.blockReason}. Please rephrase your message or check safety settings.]`;
+        return;
+      }
+      const candidate = chunk.candidates && chunk.candidates[0];
+      if (!candidate || !candidate.content) {
+        if (candidate && candidate.finishReason === "SAFETY") {
           logger.error(
-            "Safety Ratings for candidate:",
-            JSON.stringify(response.candidates[0].safetyRatings, null, 2)
+            "Gemini API blocked the streamed response due to safety settings."
           );
-          return "[AI response blocked by safety filters.]";
+          yield "[AI response blocked by safety filters.]";
+          return;
         }
+        continue;
       }
-      return null;
+      const text = candidate.content.parts
+        .map((part) => part.text || "")
+        .join("");
+      if (text) yield text;
     }
-
-    const text = response.candidates[0].content.parts
-      .map((part) => part.text)
-      .join("");
-    return text;
   } catch (error) {
-    logger.error("Error interacting with Gemini API (chat):", error);
-    if (error.message) logger.error("Error message:", error.message);
-    if (error.response && error.response.data) {
-      // For axios-like errors if the SDK wraps HTTP errors
-      logger.error(
-        "Error response data:",
-        JSON.stringify(error.response.data, null, 2)
-      );
-    }
-    return null;
+    logChatError(error, "chatStream");
   }
 };
 
@@ -560,9 +849,81 @@ const describeImage = async (
   }
 };
 
+/**
+ * Embeds texts with the configured Gemini embedding model.
+ * @param {string|string[]} input The text(s) to embed.
+ * @param {string} modelName The embedding model (overrides default).
+ * @returns {Promise<number[][]|null>} One vector per input, or null on error.
+ */
+const embed = async (input, modelName = config.GEMINI_EMBED_MODEL) => {
+  if (!isAvailable()) {
+    logger.error("Gemini client is not initialized. Cannot embed text.");
+    return null;
+  }
+  if (!modelName) {
+    logger.warn("GEMINI_EMBED_MODEL is not configured. Cannot embed text.");
+    return null;
+  }
+  const texts = Array.isArray(input) ? input : [input];
+  try {
+    const result = await genAI
+      .getGenerativeModel({ model: modelName })
+      .batchEmbedContents({
+        requests: texts.map((text) => ({
+          content: { role: "user", parts: [{ text }] },
+        })),
+      });
+    return result.embeddings.map((embedding) => embedding.values);
+  } catch (error) {
+    logger.error(`Error embedding text with Gemini model ${modelName}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Lists the Gemini models that support chat (generateContent).
+ * @returns {Promise<string[]|null>} Model names, or null on error.
+ */
+const listModels = async () => {
+  if (!isAvailable()) {
+    logger.error("Gemini client is not initialized. Cannot list models.");
+    return null;
+  }
+  try {
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${config.GEMINI_API_KEY}`
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP error listing models! status: ${response.status}`);
+    }
+    const { models = [] } = await response.json();
+    return models
+      .filter((model) =>
+        (model.supportedGenerationMethods || []).includes("generateContent")
+      )
+      .map((model) => model.name.replace(/^models\//, ""));
+  } catch (error) {
+    logger.error("Error listing Gemini models:", error);
+    return null;
+  }
+};
+
 module.exports = {
+  name,
+  displayName,
+  capabilities,
+  validateConfig,
+  getDefaultModel,
+  getSystemPrompt,
+  getEmbeddingModel,
+  supportsImageInput,
+  describeConfig,
   initialize,
   isAvailable,
   chat,
+  chatWithTools,
+  chatStream,
   describeImage,
+  embed,
+  listModels,
 };
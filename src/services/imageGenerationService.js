@@ -0,0 +1,66 @@
+// src/services/imageGenerationService.js
+// Generates images with a local Stable Diffusion server that speaks the AUTOMATIC1111
+// web UI API (/sdapi/v1/txt2img): AUTOMATIC1111, Forge, SD.Next, or ComfyUI behind
+// an A1111-compatible bridge.
+// Not an AI provider: it exports no `name`, so provider discovery skips it.
+
+const config = require("../../config"); // Adjust path
+const logger = require("../logger"); // Adjust path
+
+/**
+ * Whether an image generation server is configured.
+ * @returns {boolean} True if IMAGE_GEN_URL is set.
+ */
+const isAvailable = () => !!config.IMAGE_GEN_URL;
+
+/**
+ * Generates an image from a prompt.
+ * @param {object} request
+ * @param {string} request.prompt What to draw.
+ * @param {string} [request.negativePrompt] What to avoid.
+ * @param {number} request.width Image width in pixels.
+ * @param {number} request.height Image height in pixels.
+ * @param {number} request.steps Sampling steps.
+ * @returns {Promise<Buffer>} The PNG image.
+ */
+const txt2img = async ({ prompt, negativePrompt, width, height, steps }) => {
+  const url = `${config.IMAGE_GEN_URL.replace(/\/+$/, "")}/sdapi/v1/txt2img`;
+  logger.debug(
+    `Requesting ${width}x${height} image with ${steps} steps from ${url}.`
+  );
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      prompt,
+      negative_prompt: negativePrompt || "",
+      width,
+      height,
+      steps,
+    }),
+    signal:
+      config.IMAGE_GEN_TIMEOUT_MS > 0
+        ? AbortSignal.timeout(config.IMAGE_GEN_TIMEOUT_MS)
+        : undefined,
+  });
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(
+      `HTTP ${response.status} from image generation server: ${errorText.substring(
+        0,
+        200
+      )}`
+    );
+  }
+
+  const { images } = await response.json();
+  if (!images || images.length === 0) {
+    throw new Error("Image generation server returned no image.");
+  }
+  return Buffer.from(images[0], "base64");
+};
+
+module.exports = {
+  isAvailable,
+  txt2img,
+};
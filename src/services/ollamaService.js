@@ -4,9 +4,66 @@
 const { Ollama } = require("ollama");
 const config = require("../../config"); // Adjust path
 const logger = require("../logger"); // Adjust path
+const tokenBudget = require("../utils/tokenBudget");
 
 let ollamaClient;
 
+const name = "OLLAMA";
+const displayName = "Ollama";
+const capabilities = {
+  vision: !!config.IMAGE_READER_MODEL,
+  embeddings: !!config.OLLAMA_EMBED_MODEL,
+  tools: true,
+  listModels: true,
+};
+
+/**
+ * Checks the Ollama configuration.
+ * @returns {{errors: string[], warnings: string[]}} Configuration problems.
+ */
+const validateConfig = () => {
+  const errors = [];
+  const warnings = [];
+  if (!config.OLLAMA_MODEL) {
+    errors.push(
+      "OLLAMA_MODEL is not set in your .env file, but AI_SERVICE includes OLLAMA."
+    );
+  }
+  if (!config.IMAGE_READER_MODEL) {
+    warnings.push(
+      "IMAGE_READER_MODEL is not set for Ollama. Image analysis disabled."
+    );
+  }
+  return { errors, warnings };
+};
+
+const getDefaultModel = () => config.OLLAMA_MODEL;
+
+const getSystemPrompt = () => config.OLLAMA_SYSTEM_PROMPT;
+
+const getEmbeddingModel = () => config.OLLAMA_EMBED_MODEL;
+
+/**
+ * Whether a chat model accepts images on its messages.
+ * @param {string} modelName The chat model.
+ * @returns {boolean} True for IMAGE_READER_MODEL and models listed in VISION_CHAT_MODELS.
+ */
+const supportsImageInput = (modelName) =>
+  modelName === config.IMAGE_READER_MODEL ||
+  config.VISION_CHAT_MODELS.includes(modelName);
+
+/**
+ * Describes the active Ollama configuration.
+ * @returns {Array<[string, string]>} Label/value pairs.
+ */
+const describeConfig = () => [
+  ["Ollama Host", config.OLLAMA_HOST],
+  ["Ollama Model", config.OLLAMA_MODEL || "Not set"],
+  ["Image Reader Model", config.IMAGE_READER_MODEL || "Not set (disabled)"],
+  ["Embedding Model", config.OLLAMA_EMBED_MODEL || "Not set (disabled)"],
+  ["System Prompt Set", config.OLLAMA_SYSTEM_PROMPT ? "Yes" : "No"],
+];
+
 const initialize = () => {
   if (!config.OLLAMA_HOST || !config.OLLAMA_MODEL) {
     logger.warn(
@@ -26,6 +83,95 @@ const initialize = () => {
 
 const isAvailable = () => !!ollamaClient;
 
+/**
+ * Converts a message to Ollama's format. Images, assistant tool calls and tool results
+ * use the provider-neutral shape from aiServiceProvider (images / toolCalls / role "tool").
+ * @param {object} message The message.
+ * @returns {object} The Ollama message.
+ */
+const toOllamaMessage = (message) => {
+  if (message.role === "tool") {
+    return { role: "tool", content: message.content, tool_name: message.name };
+  }
+  const { toolCalls, images, ...rest } = message;
+  const converted = { ...rest };
+  if (images && images.length > 0) {
+    converted.images = images.map((image) => image.data); // Ollama takes plain base64
+  }
+  if (toolCalls) {
+    converted.tool_calls = toolCalls.map((call) => ({
+      function: { name: call.name, arguments: call.arguments },
+    }));
+  }
+  return converted;
+};
+
+/**
+ * Builds the request body for Ollama's chat endpoint.
+ * @param {Array<{role: string, content: string, images?: Array<{data: string, mimeType: string}>}>} messages The messages array for the chat.
+ * @param {string} modelName The name of the Ollama model to use.
+ * @param {object} options Additional options for the Ollama API.
+ * @returns {object} The request for ollamaClient.chat.
+ */
+const buildChatRequest = (messages, modelName, options) => {
+  // Only the provider-neutral generation options become Ollama model options; the rest
+  // of `options` (prompt context, queue callbacks, ...) is for us
+  const { systemPrompt, tools, temperature, topP, maxTokens } = options;
+  const resolvedSystemPrompt =
+    systemPrompt !== undefined ? systemPrompt : config.OLLAMA_SYSTEM_PROMPT;
+  const payloadMessages = messages.map(toOllamaMessage);
+  if (resolvedSystemPrompt) {
+    payloadMessages.unshift({ role: "system", content: resolvedSystemPrompt });
+  }
+
+  logger.debug(
+    `Sending ${payloadMessages.length} messages to Ollama model ${modelName}.`
+  );
+  logger.debug("Messages payload:", JSON.stringify(payloadMessages, null, 2));
+
+  const request = {
+    model: modelName,
+    messages: payloadMessages,
+    options: {
+      temperature: temperature ?? 0.7,
+      num_predict: 1000, // Default, can be overridden by maxTokens
+      num_ctx: tokenBudget.getContextSize(modelName), // Match the budget the history was fitted to
+    },
+  };
+  if (topP !== undefined) request.options.top_p = topP;
+  if (maxTokens !== undefined) request.options.num_predict = maxTokens;
+  if (tools && tools.length > 0) {
+    request.tools = tools.map((tool) => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+  return request;
+};
+
+/**
+ * Logs a chat error with a hint about the likely cause.
+ * @param {Error} error The error thrown by the Ollama client.
+ * @param {string} modelName The model that was requested.
+ */
+const logChatError = (error, modelName) => {
+  logger.error(`Error interacting with Ollama model ${modelName}:`, error);
+  if (error.cause && error.cause.code === "ECONNREFUSED") {
+    logger.error(
+      `Connection refused by Ollama server at ${config.OLLAMA_HOST}. Is Ollama running?`
+    );
+  } else if (error.message && error.message.includes("model")) {
+    // This could be a model not found error or other model-related issue
+    logger.error(
+      `It seems there's an issue with the Ollama model '${modelName}'. Is it pulled/available?`
+    );
+  }
+};
+
 /**
  * Sends a chat request to the Ollama API.
  * @param {Array<{role: string, content: string, images?: string[]}>} messages The messages array for the chat.
@@ -47,43 +193,109 @@ const chat = async (
     return null;
   }
 
-  logger.debug(
-    `Sending ${messages.length} messages to Ollama model ${modelName}.`
-  );
-  logger.debug("Messages payload:", JSON.stringify(messages, null, 2));
-
   try {
-    const response = await ollamaClient.chat({
-      model: modelName,
-      messages: messages,
-      options: {
-        temperature: 0.7, // Default, can be overridden by options
-        num_predict: 1000, // Default, can be overridden
-        ...options, // Spread any additional passed options
-      },
-      // stream: false, // Ensure stream is false for single response
-    });
+    const response = await ollamaClient.chat(
+      buildChatRequest(messages, modelName, options)
+    );
     logger.debug(
       "Ollama response received:",
       JSON.stringify(response, null, 2)
     );
     return response.message.content;
   } catch (error) {
-    logger.error(`Error interacting with Ollama model ${modelName}:`, error);
-    if (error.cause && error.cause.code === "ECONNREFUSED") {
-      logger.error(
-        `Connection refused by Ollama server at ${config.OLLAMA_HOST}. Is Ollama running?`
-      );
-    } else if (error.message && error.message.includes("model")) {
-      // This could be a model not found error or other model-related issue
-      logger.error(
-        `It seems there's an issue with the Ollama model '${modelName}'. Is it pulled/available?`
+    logChatError(error, modelName);
+    return null;
+  }
+};
+
+/**
+ * Sends a chat request that offers the model the given tools.
+ * Models without tool support get the request again without tools.
+ * @param {Array<object>} messages The messages array for the chat, including earlier tool turns.
+ * @param {string} modelName The name of the Ollama model to use (overrides default).
+ * @param {object} options Additional options for the Ollama API; `tools` holds the tools to offer.
+ * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: object}>}|null>}
+ *   The reply and the tools the model wants to call, or null on error.
+ */
+const chatWithTools = async (
+  messages,
+  modelName = config.OLLAMA_MODEL,
+  options = {}
+) => {
+  if (!isAvailable()) {
+    logger.error("Ollama client is not initialized. Cannot send chat request.");
+    return null;
+  }
+  if (!messages || messages.length === 0) {
+    logger.warn("Ollama chatWithTools called with no messages.");
+    return null;
+  }
+
+  try {
+    const response = await ollamaClient.chat(
+      buildChatRequest(messages, modelName, options)
+    );
+    logger.debug(
+      "Ollama response received:",
+      JSON.stringify(response, null, 2)
+    );
+    const toolCalls = (response.message.tool_calls || []).map(
+      (call, index) => ({
+        id: `call_${index}`,
+        name: call.function.name,
+        arguments: call.function.arguments || {},
+      })
+    );
+    return { content: response.message.content, toolCalls };
+  } catch (error) {
+    if (error.message && /does not support tools/i.test(error.message)) {
+      logger.warn(
+        `Ollama model ${modelName} does not support tools. Answering without them.`
       );
+      const content = await chat(messages, modelName, { ...options, tools: [] });
+      return content ? { content, toolCalls: [] } : null;
     }
+    logChatError(error, modelName);
     return null;
   }
 };
 
+/**
+ * Streams a chat response from the Ollama API.
+ * @param {Array<{role: string, content: string, images?: string[]}>} messages The messages array for the chat.
+ * @param {string} modelName The name of the Ollama model to use (overrides default).
+ * @param {object} options Additional options for the Ollama API.
+ * @returns {AsyncGenerator<string>} Text deltas as they arrive. Ends early on error.
+ */
+const chatStream = async function* (
+  messages,
+  modelName = config.OLLAMA_MODEL,
+  options = {}
+) {
+  if (!isAvailable()) {
+    logger.error(
+      "Ollama client is not initialized. Cannot stream chat request."
+    );
+    return;
+  }
+  if (!messages || messages.length === 0) {
+    logger.warn("Ollama chatStream called with no messages.");
+    return;
+  }
+
+  try {
+    const stream = await ollamaClient.chat({
+      ...buildChatRequest(messages, modelName, options),
+      stream: true,
+    });
+    for await (const part of stream) {
+      if (part.message && part.message.content) yield part.message.content;
+    }
+  } catch (error) {
+    logChatError(error, modelName);
+  }
+};
+
 /**
  * Describes an image using the configured Ollama image reader model.
  * @param {string} base64Image The base64 encoded image string.
@@ -141,9 +353,64 @@ const describeImage = async (
   }
 };
 
+/**
+ * Embeds texts with the configured Ollama embedding model.
+ * @param {string|string[]} input The text(s) to embed.
+ * @param {string} modelName The embedding model (overrides default).
+ * @returns {Promise<number[][]|null>} One vector per input, or null on error.
+ */
+const embed = async (input, modelName = config.OLLAMA_EMBED_MODEL) => {
+  if (!isAvailable()) {
+    logger.error("Ollama client is not initialized. Cannot embed text.");
+    return null;
+  }
+  if (!modelName) {
+    logger.warn("OLLAMA_EMBED_MODEL is not configured. Cannot embed text.");
+    return null;
+  }
+  try {
+    const response = await ollamaClient.embed({ model: modelName, input });
+    return response.embeddings;
+  } catch (error) {
+    logger.error(`Error embedding text with Ollama model ${modelName}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Lists the models installed on the Ollama server.
+ * @returns {Promise<string[]|null>} Model names, or null on error.
+ */
+const listModels = async () => {
+  if (!isAvailable()) {
+    logger.error("Ollama client is not initialized. Cannot list models.");
+    return null;
+  }
+  try {
+    const response = await ollamaClient.list();
+    return response.models.map((model) => model.name);
+  } catch (error) {
+    logger.error(`Error listing models from ${config.OLLAMA_HOST}:`, error);
+    return null;
+  }
+};
+
 module.exports = {
+  name,
+  displayName,
+  capabilities,
+  validateConfig,
+  getDefaultModel,
+  getSystemPrompt,
+  getEmbeddingModel,
+  supportsImageInput,
+  describeConfig,
   initialize,
   isAvailable,
   chat,
+  chatWithTools,
+  chatStream,
   describeImage,
+  embed,
+  listModels,
 };
@@ -0,0 +1,554 @@
+// src/services/openaiCompatService.js
+// Handles interactions with any OpenAI-compatible chat completions API
+// (llama.cpp server, vLLM, LM Studio, LocalAI, ...).
+
+const config = require("../../config"); // Adjust path
+const logger = require("../logger"); // Adjust path
+
+let baseUrl = null;
+
+const name = "OPENAI_COMPAT";
+const displayName = "OpenAI-compatible";
+const capabilities = {
+  vision: !!config.OPENAI_COMPAT_VISION_MODEL,
+  embeddings: !!config.OPENAI_COMPAT_EMBED_MODEL,
+  tools: true,
+  listModels: true,
+};
+
+/**
+ * Checks the OpenAI-compatible configuration.
+ * @returns {{errors: string[], warnings: string[]}} Configuration problems.
+ */
+const validateConfig = () => {
+  const errors = [];
+  const warnings = [];
+  if (!config.OPENAI_COMPAT_BASE_URL || !config.OPENAI_COMPAT_MODEL) {
+    errors.push(
+      "OPENAI_COMPAT_BASE_URL and OPENAI_COMPAT_MODEL must be set in your .env file when AI_SERVICE includes OPENAI_COMPAT."
+    );
+  }
+  if (!config.OPENAI_COMPAT_VISION_MODEL) {
+    warnings.push(
+      "OPENAI_COMPAT_VISION_MODEL is not set. Image analysis disabled."
+    );
+  }
+  return { errors, warnings };
+};
+
+const getDefaultModel = () => config.OPENAI_COMPAT_MODEL;
+
+const getSystemPrompt = () => config.OPENAI_COMPAT_SYSTEM_PROMPT;
+
+const getEmbeddingModel = () => config.OPENAI_COMPAT_EMBED_MODEL;
+
+/**
+ * Whether a chat model accepts images on its messages.
+ * @param {string} modelName The chat model.
+ * @returns {boolean} True for OPENAI_COMPAT_VISION_MODEL and models listed in VISION_CHAT_MODELS.
+ */
+const supportsImageInput = (modelName) =>
+  modelName === config.OPENAI_COMPAT_VISION_MODEL ||
+  config.VISION_CHAT_MODELS.includes(modelName);
+
+/**
+ * Describes the active OpenAI-compatible configuration.
+ * @returns {Array<[string, string]>} Label/value pairs.
+ */
+const describeConfig = () => [
+  ["Base URL", config.OPENAI_COMPAT_BASE_URL],
+  ["Model", config.OPENAI_COMPAT_MODEL || "Not set"],
+  [
+    "Vision Model",
+    config.OPENAI_COMPAT_VISION_MODEL || "Not set (disabled)",
+  ],
+  [
+    "Embedding Model",
+    config.OPENAI_COMPAT_EMBED_MODEL || "Not set (disabled)",
+  ],
+  ["API Key Set", config.OPENAI_COMPAT_API_KEY ? "Yes" : "No"],
+  ["System Prompt Set", config.OPENAI_COMPAT_SYSTEM_PROMPT ? "Yes" : "No"],
+];
+
+const initialize = () => {
+  if (!config.OPENAI_COMPAT_BASE_URL || !config.OPENAI_COMPAT_MODEL) {
+    logger.warn(
+      "OpenAI-compatible base URL or model not configured. OpenAI-compatible service will not be available."
+    );
+    return false;
+  }
+  try {
+    // Normalize so both "http://host:8080" and "http://host:8080/v1/" work
+    baseUrl = config.OPENAI_COMPAT_BASE_URL.replace(/\/+$/, "").replace(
+      /\/v1$/,
+      ""
+    );
+    new URL(baseUrl); // Throws on a malformed URL
+    logger.log(`OpenAI-compatible client initialized for host: ${baseUrl}`);
+    return true;
+  } catch (error) {
+    logger.error("Failed to initialize OpenAI-compatible client:", error);
+    baseUrl = null;
+    return false;
+  }
+};
+
+const isAvailable = () => !!baseUrl;
+
+/**
+ * Sends a request to an endpoint of the OpenAI-compatible server. It is aborted after
+ * AI_REQUEST_TIMEOUT_MS (for streams: the whole stream), so an unresponsive server
+ * cannot hold it, or its socket, forever.
+ * @param {string} endpoint Path below /v1 (e.g., "/chat/completions").
+ * @param {object} [body] JSON request body. Sends a GET request when omitted.
+ * @returns {Promise<Response>} The successful HTTP response.
+ */
+const sendRequest = async (endpoint, body) => {
+  const headers = { "Content-Type": "application/json" };
+  if (config.OPENAI_COMPAT_API_KEY) {
+    headers.Authorization = `Bearer ${config.OPENAI_COMPAT_API_KEY}`;
+  }
+
+  const response = await fetch(`${baseUrl}/v1${endpoint}`, {
+    method: body ? "POST" : "GET",
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal:
+      config.AI_REQUEST_TIMEOUT_MS > 0
+        ? AbortSignal.timeout(config.AI_REQUEST_TIMEOUT_MS)
+        : undefined,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(
+      `HTTP ${response.status} from ${endpoint}: ${errorText.substring(0, 200)}`
+    );
+  }
+  return response;
+};
+
+/**
+ * Sends a request and parses the JSON response.
+ * @param {string} endpoint Path below /v1 (e.g., "/chat/completions").
+ * @param {object} [body] JSON request body. Sends a GET request when omitted.
+ * @returns {Promise<object>} The parsed JSON response.
+ */
+const request = async (endpoint, body) =>
+  (await sendRequest(endpoint, body)).json();
+
+/**
+ * Converts a message to the chat completions format. Images, assistant tool calls and
+ * tool results use the provider-neutral shape from aiServiceProvider
+ * (images / toolCalls / role "tool").
+ * @param {object} message The message.
+ * @returns {object} The chat completions message.
+ */
+const toOpenAIMessage = ({ role, content, images, toolCalls, toolCallId }) => {
+  if (role === "tool") {
+    return { role, tool_call_id: toolCallId, content };
+  }
+  if (images && images.length > 0) {
+    return {
+      role,
+      content: [
+        { type: "text", text: content },
+        ...images.map((image) => ({
+          type: "image_url",
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+        })),
+      ],
+    };
+  }
+  if (toolCalls) {
+    return {
+      role,
+      content: content || null,
+      tool_calls: toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+      })),
+    };
+  }
+  return { role, content };
+};
+
+/**
+ * Builds the request body for the chat completions endpoint.
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The name of the model to use.
+ * @param {object} options Additional options (e.g., temperature, tools).
+ * @returns {object} The request body.
+ */
+const buildChatRequest = (messages, modelName, options) => {
+  const systemPrompt =
+    options.systemPrompt !== undefined
+      ? options.systemPrompt
+      : config.OPENAI_COMPAT_SYSTEM_PROMPT;
+  const payloadMessages = messages.map(toOpenAIMessage);
+  if (systemPrompt) {
+    payloadMessages.unshift({ role: "system", content: systemPrompt });
+  }
+
+  logger.debug(
+    `Sending ${payloadMessages.length} messages to OpenAI-compatible model ${modelName}.`
+  );
+  logger.debug("Messages payload:", JSON.stringify(payloadMessages, null, 2));
+
+  const body = {
+    model: modelName,
+    messages: payloadMessages,
+    temperature: options.temperature ?? 0.7,
+    max_tokens: options.maxTokens || config.OPENAI_COMPAT_MAX_TOKENS,
+  };
+  if (options.topP !== undefined) body.top_p = options.topP;
+  if (options.tools && options.tools.length > 0) {
+    body.tools = options.tools.map((tool) => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+  return body;
+};
+
+/**
+ * Parses the JSON arguments of a tool call. Models occasionally emit invalid JSON.
+ * @param {string} rawArguments The arguments string from the API.
+ * @returns {object} The arguments, empty if they cannot be parsed.
+ */
+const parseToolArguments = (rawArguments) => {
+  try {
+    return rawArguments ? JSON.parse(rawArguments) : {};
+  } catch (error) {
+    logger.warn(`Could not parse tool call arguments: ${rawArguments}`);
+    return {};
+  }
+};
+
+/**
+ * Logs a chat error with a hint about the likely cause.
+ * @param {Error} error The error thrown while talking to the server.
+ * @param {string} modelName The model that was requested.
+ */
+const logChatError = (error, modelName) => {
+  logger.error(
+    `Error interacting with OpenAI-compatible model ${modelName}:`,
+    error
+  );
+  if (error.cause && error.cause.code === "ECONNREFUSED") {
+    logger.error(
+      `Connection refused by OpenAI-compatible server at ${baseUrl}. Is it running?`
+    );
+  }
+};
+
+/**
+ * Sends a chat request to the OpenAI-compatible API.
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The name of the model to use (overrides default).
+ * @param {object} options Additional options (e.g., temperature).
+ * @returns {Promise<string|null>} The AI's response content, or null on error.
+ */
+const chat = async (
+  messages,
+  modelName = config.OPENAI_COMPAT_MODEL,
+  options = {}
+) => {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot send chat request."
+    );
+    return null;
+  }
+  if (!messages || messages.length === 0) {
+    logger.warn("OpenAI-compatible chat called with no messages.");
+    return null;
+  }
+
+  try {
+    const response = await request("/chat/completions", {
+      ...buildChatRequest(messages, modelName, options),
+      stream: false,
+    });
+    logger.debug(
+      "OpenAI-compatible response received:",
+      JSON.stringify(response, null, 2)
+    );
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message) {
+      logger.warn("OpenAI-compatible API returned no choices.");
+      return null;
+    }
+    return choice.message.content || null;
+  } catch (error) {
+    logChatError(error, modelName);
+    return null;
+  }
+};
+
+/**
+ * Sends a chat request that offers the model the given tools.
+ * @param {Array<object>} messages The messages array for the chat, including earlier tool turns.
+ * @param {string} modelName The name of the model to use (overrides default).
+ * @param {object} options Additional options; `tools` holds the tools to offer.
+ * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: object}>}|null>}
+ *   The reply and the tools the model wants to call, or null on error.
+ */
+const chatWithTools = async (
+  messages,
+  modelName = config.OPENAI_COMPAT_MODEL,
+  options = {}
+) => {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot send chat request."
+    );
+    return null;
+  }
+  if (!messages || messages.length === 0) {
+    logger.warn("OpenAI-compatible chatWithTools called with no messages.");
+    return null;
+  }
+
+  try {
+    const response = await request("/chat/completions", {
+      ...buildChatRequest(messages, modelName, options),
+      stream: false,
+    });
+    logger.debug(
+      "OpenAI-compatible response received:",
+      JSON.stringify(response, null, 2)
+    );
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message) {
+      logger.warn("OpenAI-compatible API returned no choices.");
+      return null;
+    }
+    const toolCalls = (choice.message.tool_calls || []).map(
+      (call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments),
+      })
+    );
+    return { content: choice.message.content || "", toolCalls };
+  } catch (error) {
+    logChatError(error, modelName);
+    return null;
+  }
+};
+
+/**
+ * Parses one line of a server-sent events chat stream.
+ * @param {string} line The line.
+ * @returns {{text?: string, done?: boolean}} The text delta, or whether the stream is done.
+ */
+const parseStreamLine = (line) => {
+  const data = line.trim();
+  if (!data.startsWith("data:")) return {};
+  const payload = data.substring("data:".length).trim();
+  if (payload === "[DONE]") return { done: true };
+
+  const choice = JSON.parse(payload).choices?.[0];
+  return { text: choice && choice.delta && choice.delta.content };
+};
+
+/**
+ * Streams a chat response from the OpenAI-compatible API (server-sent events).
+ * @param {Array<{role: string, content: string}>} messages The messages array for the chat.
+ * @param {string} modelName The name of the model to use (overrides default).
+ * @param {object} options Additional options (e.g., temperature).
+ * @returns {AsyncGenerator<string>} Text deltas as they arrive. Ends early on error.
+ */
+const chatStream = async function* (
+  messages,
+  modelName = config.OPENAI_COMPAT_MODEL,
+  options = {}
+) {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot stream chat request."
+    );
+    return;
+  }
+  if (!messages || messages.length === 0) {
+    logger.warn("OpenAI-compatible chatStream called with no messages.");
+    return;
+  }
+
+  try {
+    const response = await sendRequest("/chat/completions", {
+      ...buildChatRequest(messages, modelName, options),
+      stream: true,
+    });
+
+    const decoder = new TextDecoder();
+    let buffered = "";
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split("\n");
+      buffered = lines.pop(); // Keep the incomplete line for the next read
+
+      for (const line of lines) {
+        const event = parseStreamLine(line);
+        if (event.done) return;
+        if (event.text) yield event.text;
+      }
+    }
+    // The last line may not end with a line break
+    const event = parseStreamLine(buffered + decoder.decode());
+    if (event.text) yield event.text;
+  } catch (error) {
+    logChatError(error, modelName);
+  }
+};
+
+/**
+ * Describes an image using the configured OpenAI-compatible vision model.
+ * @param {string} base64Image The base64 encoded image string.
+ * @param {string} prompt The prompt to use for image description.
+ * @returns {Promise<string|null>} The image description, or null on error.
+ */
+const describeImage = async (
+  base64Image,
+  prompt = config.IMAGE_READER_PROMPT
+) => {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot describe image."
+    );
+    return null;
+  }
+  if (!config.OPENAI_COMPAT_VISION_MODEL) {
+    logger.warn(
+      "OPENAI_COMPAT_VISION_MODEL is not configured. Cannot describe image."
+    );
+    return null;
+  }
+  if (!base64Image) {
+    logger.warn("describeImage called with no base64Image.");
+    return null;
+  }
+
+  logger.debug(
+    `Sending image to OpenAI-compatible model ${config.OPENAI_COMPAT_VISION_MODEL} for description.`
+  );
+  try {
+    const response = await request("/chat/completions", {
+      model: config.OPENAI_COMPAT_VISION_MODEL,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            {
+              type: "image_url",
+              // Servers sniff the real format; the declared type is only a hint
+              image_url: { url: `data:image/png;base64,${base64Image}` },
+            },
+          ],
+        },
+      ],
+      temperature: 0.5, // Often lower for descriptive tasks
+      max_tokens: 500, // Limit description length
+    });
+    logger.debug(
+      "OpenAI-compatible image description response:",
+      JSON.stringify(response, null, 2)
+    );
+
+    const choice = response.choices && response.choices[0];
+    if (!choice || !choice.message || !choice.message.content) {
+      logger.warn("OpenAI-compatible API returned no image description.");
+      return null;
+    }
+    return choice.message.content.trim();
+  } catch (error) {
+    logger.error(
+      `Error describing image with OpenAI-compatible model ${config.OPENAI_COMPAT_VISION_MODEL}:`,
+      error
+    );
+    return null;
+  }
+};
+
+/**
+ * Embeds texts with the configured OpenAI-compatible embedding model.
+ * @param {string|string[]} input The text(s) to embed.
+ * @param {string} modelName The embedding model (overrides default).
+ * @returns {Promise<number[][]|null>} One vector per input, or null on error.
+ */
+const embed = async (input, modelName = config.OPENAI_COMPAT_EMBED_MODEL) => {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot embed text."
+    );
+    return null;
+  }
+  if (!modelName) {
+    logger.warn(
+      "OPENAI_COMPAT_EMBED_MODEL is not configured. Cannot embed text."
+    );
+    return null;
+  }
+  try {
+    const response = await request("/embeddings", { model: modelName, input });
+    // The API may return the vectors out of order
+    return (response.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  } catch (error) {
+    logger.error(
+      `Error embedding text with OpenAI-compatible model ${modelName}:`,
+      error
+    );
+    return null;
+  }
+};
+
+/**
+ * Lists the models the OpenAI-compatible server reports.
+ * @returns {Promise<string[]|null>} Model names, or null on error.
+ */
+const listModels = async () => {
+  if (!isAvailable()) {
+    logger.error(
+      "OpenAI-compatible client is not initialized. Cannot list models."
+    );
+    return null;
+  }
+  try {
+    const response = await request("/models");
+    return (response.data || []).map((model) => model.id);
+  } catch (error) {
+    logger.error(`Error listing models from ${baseUrl}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  name,
+  displayName,
+  capabilities,
+  validateConfig,
+  getDefaultModel,
+  getSystemPrompt,
+  getEmbeddingModel,
+  supportsImageInput,
+  describeConfig,
+  initialize,
+  isAvailable,
+  chat,
+  chatWithTools,
+  chatStream,
+  describeImage,
+  embed,
+  listModels,
+};
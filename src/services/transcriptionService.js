@@ -0,0 +1,68 @@
+// src/services/transcriptionService.js
+// Transcribes audio with a local Whisper server (whisper.cpp server or an
+// OpenAI-compatible /v1/audio/transcriptions endpoint).
+// Not an AI provider: it exports no `name`, so provider discovery skips it.
+
+const config = require("../../config"); // Adjust path
+const logger = require("../logger"); // Adjust path
+
+/**
+ * Whether a transcription endpoint is configured.
+ * @returns {boolean} True if TRANSCRIPTION_URL is set.
+ */
+const isAvailable = () => !!config.TRANSCRIPTION_URL;
+
+/**
+ * Transcribes an audio file.
+ * @param {Buffer} audio The audio file contents.
+ * @param {object} file
+ * @param {string} file.fileName The file name; servers use its extension to pick the decoder.
+ * @param {string} file.mimeType The audio content type.
+ * @returns {Promise<string|null>} The transcript, or null if no speech was recognized.
+ */
+const transcribe = async (audio, { fileName, mimeType }) => {
+  const form = new FormData();
+  form.append("file", new Blob([audio], { type: mimeType }), fileName);
+  form.append("response_format", "json");
+  if (config.TRANSCRIPTION_MODEL) {
+    form.append("model", config.TRANSCRIPTION_MODEL);
+  }
+  if (config.TRANSCRIPTION_LANGUAGE) {
+    form.append("language", config.TRANSCRIPTION_LANGUAGE);
+  }
+
+  const headers = {};
+  if (config.TRANSCRIPTION_API_KEY) {
+    headers.Authorization = `Bearer ${config.TRANSCRIPTION_API_KEY}`;
+  }
+
+  logger.debug(
+    `Sending ${fileName} (${audio.length} bytes) to ${config.TRANSCRIPTION_URL} for transcription.`
+  );
+  const response = await fetch(config.TRANSCRIPTION_URL, {
+    method: "POST",
+    headers,
+    body: form,
+    signal:
+      config.TRANSCRIPTION_TIMEOUT_MS > 0
+        ? AbortSignal.timeout(config.TRANSCRIPTION_TIMEOUT_MS)
+        : undefined,
+  });
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(
+      `HTTP ${response.status} from transcription server: ${errorText.substring(
+        0,
+        200
+      )}`
+    );
+  }
+
+  const { text } = await response.json();
+  return text && text.trim() ? text.trim() : null;
+};
+
+module.exports = {
+  isAvailable,
+  transcribe,
+};
@@ -0,0 +1,69 @@
+// src/services/ttsService.js
+// Synthesizes speech with a local TTS HTTP server (Piper or Coqui style:
+// POST <TTS_URL> with the form body text=... answering with an audio file).
+// Not an AI provider: it exports no `name`, so provider discovery skips it.
+
+const config = require("../../config"); // Adjust path
+const logger = require("../logger"); // Adjust path
+
+// File extensions for the audio types TTS servers commonly return
+const AUDIO_EXTENSIONS = {
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+  "audio/mpeg": "mp3",
+  "audio/ogg": "ogg",
+  "audio/opus": "ogg",
+  "audio/flac": "flac",
+};
+
+/**
+ * Whether a TTS endpoint is configured.
+ * @returns {boolean} True if TTS_URL is set.
+ */
+const isAvailable = () => !!config.TTS_URL;
+
+/**
+ * Synthesizes speech for a text.
+ * @param {string} text The text to speak.
+ * @returns {Promise<{audio: Buffer, extension: string}>} The audio file and its extension.
+ */
+const synthesize = async (text) => {
+  const url = new URL(config.TTS_URL);
+  // Server-specific parameters, e.g. "speaker_id=p225&language_id=en"
+  for (const [key, value] of new URLSearchParams(config.TTS_EXTRA_PARAMS)) {
+    url.searchParams.set(key, value);
+  }
+
+  logger.debug(
+    `Sending ${text.length} characters to ${config.TTS_URL} for speech synthesis.`
+  );
+  // The text goes in the body: long replies would exceed URL length limits
+  const response = await fetch(url, {
+    method: "POST",
+    body: new URLSearchParams({ text }),
+    signal:
+      config.TTS_TIMEOUT_MS > 0
+        ? AbortSignal.timeout(config.TTS_TIMEOUT_MS)
+        : undefined,
+  });
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new Error(
+      `HTTP ${response.status} from TTS server: ${errorText.substring(0, 200)}`
+    );
+  }
+
+  const contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim();
+  return {
+    audio: Buffer.from(await response.arrayBuffer()),
+    extension: AUDIO_EXTENSIONS[contentType] || "wav",
+  };
+};
+
+module.exports = {
+  isAvailable,
+  synthesize,
+};
@@ -0,0 +1,37 @@
+// src/tools/currentTimeTool.js
+// Tool: current date and time in a timezone.
+
+const { format } = require("date-fns-tz");
+const config = require("../../config");
+
+module.exports = {
+  name: "get_current_time",
+  description:
+    "Gets the current date and time. Use it when the user asks about the time or date, here or in another place.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: `IANA timezone such as "Europe/Berlin" or "America/New_York". Defaults to ${config.TIMEZONE}.`,
+      },
+    },
+  },
+  /**
+   * @param {{timezone?: string}} args Tool arguments.
+   * @returns {Promise<object>} The formatted time.
+   */
+  async execute({ timezone } = {}) {
+    const timeZone = timezone || config.TIMEZONE;
+    try {
+      // Throws a RangeError for unknown timezones
+      new Intl.DateTimeFormat("en-US", { timeZone });
+    } catch (error) {
+      return { error: `Unknown timezone "${timeZone}".` };
+    }
+    return {
+      timezone: timeZone,
+      time: format(new Date(), "EEEE yyyy-MM-dd HH:mm zzz", { timeZone }),
+    };
+  },
+};
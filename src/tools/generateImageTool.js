@@ -0,0 +1,66 @@
+// src/tools/generateImageTool.js
+// Tool: draw an image with the local Stable Diffusion server and post it in the channel.
+
+const logger = require("../logger");
+const imageGenerationService = require("../services/imageGenerationService");
+const imageGenerator = require("../utils/imageGenerator");
+
+module.exports = {
+  name: "generate_image",
+  description:
+    "Draws an image from a text prompt and posts it in the current Discord channel. Use it when the user asks you to draw, paint or picture something.",
+  parameters: {
+    type: "object",
+    properties: {
+      prompt: {
+        type: "string",
+        description:
+          "Detailed description of the image in English, e.g. subject, style, lighting.",
+      },
+      negative_prompt: {
+        type: "string",
+        description: "Things the image should not contain (optional).",
+      },
+    },
+    required: ["prompt"],
+  },
+  isEnabled: imageGenerationService.isAvailable,
+  /**
+   * Queues the image and returns right away; it is posted once it is ready.
+   * @param {{prompt: string, negative_prompt?: string}} args Tool arguments.
+   * @param {import('./toolRegistry').ToolContext} context The triggering message context.
+   * @returns {Promise<object>} Whether the image was queued.
+   */
+  async execute(
+    { prompt, negative_prompt } = {},
+    { channelId, userId, message }
+  ) {
+    if (!message) {
+      return { error: "No Discord channel is available for this request." };
+    }
+    const { request, error } = imageGenerator.resolveRequest({
+      prompt,
+      negativePrompt: negative_prompt,
+    });
+    if (error) return { error };
+
+    const queued = imageGenerator.queueImage(userId, request);
+    if (!queued) {
+      return { error: "The user already has too many images in the queue." };
+    }
+
+    queued.image
+      .then((image) =>
+        imageGenerator.postImage(message.channel, channelId, image, {
+          prompt: request.prompt,
+          requester: message.author.globalName || message.author.username,
+        })
+      )
+      .catch((generationError) =>
+        logger.error("Error generating image for tool call:", generationError)
+      );
+    return {
+      status: `The image is being drawn and will be posted in the channel shortly (${queued.jobsAhead} image(s) ahead in the queue). Do not post a link or placeholder yourself.`,
+    };
+  },
+};
@@ -0,0 +1,44 @@
+// src/tools/recentMessagesTool.js
+// Tool: fetch the latest messages of the Discord channel, including ones not in history.
+
+const MAX_MESSAGES = 50;
+
+module.exports = {
+  name: "fetch_recent_messages",
+  description:
+    "Fetches the most recent messages posted in the current Discord channel, including messages from other people and bots.",
+  parameters: {
+    type: "object",
+    properties: {
+      limit: {
+        type: "integer",
+        description: `How many messages to fetch (1-${MAX_MESSAGES}, default 10).`,
+      },
+    },
+  },
+  /**
+   * @param {{limit?: number}} args Tool arguments.
+   * @param {import('./toolRegistry').ToolContext} context The triggering message context.
+   * @returns {Promise<object>} The messages, oldest first.
+   */
+  async execute({ limit } = {}, { message }) {
+    if (!message) {
+      return { error: "No Discord channel is available for this request." };
+    }
+    const count = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_MESSAGES);
+
+    const fetched = await message.channel.messages.fetch({
+      limit: count,
+      before: message.id,
+    });
+    const messages = Array.from(fetched.values())
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp) // Oldest first
+      .map((msg) => ({
+        author: msg.author.globalName || msg.author.username,
+        time: msg.createdAt.toISOString(),
+        content: msg.content || "[No text content]",
+      }));
+
+    return { messages };
+  },
+};
@@ -0,0 +1,53 @@
+// src/tools/searchHistoryTool.js
+// Tool: search the stored conversation history of the current channel/DM.
+
+const historyManager = require("../utils/historyManager");
+
+const MAX_RESULTS = 20;
+
+module.exports = {
+  name: "search_conversation_history",
+  description:
+    "Searches earlier messages of this conversation for a word or phrase. Use it to recall something said before.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "Text to look for (case-insensitive).",
+      },
+      limit: {
+        type: "integer",
+        description: `Maximum number of matches to return (1-${MAX_RESULTS}, default 5).`,
+      },
+    },
+    required: ["query"],
+  },
+  /**
+   * @param {{query: string, limit?: number}} args Tool arguments.
+   * @param {import('./toolRegistry').ToolContext} context The triggering message context.
+   * @returns {Promise<object>} The most recent matches, oldest first.
+   */
+  async execute({ query, limit }, { channelId }) {
+    if (!query || !String(query).trim()) {
+      return { error: "A search query is required." };
+    }
+    const maxResults = Math.min(
+      Math.max(parseInt(limit, 10) || 5, 1),
+      MAX_RESULTS
+    );
+    const needle = String(query).toLowerCase();
+
+    const matches = historyManager
+      .getChannelHistory(channelId)
+      .filter(
+        (entry) =>
+          typeof entry.content === "string" &&
+          entry.content.toLowerCase().includes(needle)
+      )
+      .slice(-maxResults)
+      .map((entry) => ({ role: entry.role, content: entry.content }));
+
+    return { query, matches };
+  },
+};
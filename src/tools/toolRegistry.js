@@ -0,0 +1,103 @@
+// src/tools/toolRegistry.js
+// Keeps track of the tools the AI can call and discovers them from src/tools/.
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../logger");
+
+/**
+ * The contract every tool module must follow. Files in src/tools/ ending in
+ * "Tool.js" are registered automatically.
+ *
+ * @typedef {object} AITool
+ * @property {string} name Unique snake_case name the model uses to call the tool.
+ * @property {string} description What the tool does and when the model should use it.
+ * @property {object} parameters JSON schema (type "object") describing the arguments.
+ *   Keep it to type/description/properties/required/enum: Gemini rejects other keywords.
+ * @property {(args: object, context: ToolContext) => Promise<string|object>} execute
+ *   Runs the tool. The result is sent back to the model (objects as JSON).
+ * @property {() => boolean} [isEnabled] Whether the tool can be offered right now,
+ *   e.g. only when the service behind it is configured. Defaults to always.
+ */
+
+/**
+ * What a tool knows about the message that triggered the AI turn.
+ * @typedef {object} ToolContext
+ * @property {string} channelId The conversation key (channel ID or dm_userId).
+ * @property {string} userId The Discord user ID of the speaker.
+ * @property {import('discord.js').Message} [message] The triggering Discord message.
+ * @property {import('discord.js').Client} [client] The Discord client.
+ */
+
+/** @type {Map<string, AITool>} */
+const tools = new Map();
+
+/**
+ * Checks whether a module looks like a tool.
+ * @param {object} candidate The module to check.
+ * @returns {boolean} True if the module satisfies the contract.
+ */
+const isTool = (candidate) =>
+  !!candidate &&
+  typeof candidate.name === "string" &&
+  typeof candidate.description === "string" &&
+  typeof candidate.parameters === "object" &&
+  typeof candidate.execute === "function";
+
+/**
+ * Registers a tool by name. A tool registered later replaces an earlier one with the same name.
+ * @param {AITool} tool The tool module.
+ * @returns {boolean} True if the tool was registered.
+ */
+const registerTool = (tool) => {
+  if (!isTool(tool)) {
+    logger.warn(
+      "Refusing to register tool: it does not implement name, description, parameters and execute."
+    );
+    return false;
+  }
+  if (tools.has(tool.name)) {
+    logger.warn(`Tool ${tool.name} is already registered. Replacing it.`);
+  }
+  tools.set(tool.name, tool);
+  logger.debug(`Registered tool: ${tool.name}`);
+  return true;
+};
+
+/**
+ * Requires every *Tool.js module in src/tools/ and registers it.
+ * Names that are already taken keep their tool, so discovery can run more than once.
+ */
+const discoverTools = () => {
+  const toolFiles = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith("Tool.js"));
+
+  for (const file of toolFiles) {
+    try {
+      const candidate = require(path.join(__dirname, file));
+      if (isTool(candidate) && !tools.has(candidate.name)) {
+        registerTool(candidate);
+      }
+    } catch (error) {
+      logger.error(`Error loading tool module ${file}:`, error);
+    }
+  }
+};
+
+/**
+ * Lists the registered tools that are enabled, discovering the built-in ones on first use.
+ * @returns {AITool[]} The tools.
+ */
+const getTools = () => {
+  if (tools.size === 0) discoverTools();
+  return Array.from(tools.values()).filter(
+    (tool) => !tool.isEnabled || tool.isEnabled()
+  );
+};
+
+module.exports = {
+  registerTool,
+  discoverTools,
+  getTools,
+};
@@ -0,0 +1,26 @@
+// src/tools/userProfileTool.js
+// Tool: the profile the speaker entered with the `input` command.
+
+const userInfoManager = require("../utils/userInfoManager");
+
+module.exports = {
+  name: "get_user_profile",
+  description:
+    "Gets the profile (e.g., name, city) the current user has shared with the bot.",
+  parameters: {
+    type: "object",
+    properties: {},
+  },
+  /**
+   * @param {object} args Tool arguments (none).
+   * @param {import('./toolRegistry').ToolContext} context The triggering message context.
+   * @returns {Promise<object>} The profile.
+   */
+  async execute(args, { userId }) {
+    const profile = userInfoManager.getUserInfo(userId);
+    if (!profile) {
+      return { error: "The user has not shared a profile." };
+    }
+    return profile;
+  },
+};
@@ -0,0 +1,324 @@
+// src/utils/attachmentProcessor.js
+// Turns message attachments into content for the AI: images, audio, text-like files and PDFs.
+
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const config = require("../../config");
+const logger = require("../logger");
+const aiServiceProvider = require("../aiServiceProvider");
+const transcriptionService = require("../services/transcriptionService");
+const tokenBudget = require("./tokenBudget");
+
+// Non-text/* content types that are still plain text
+const TEXT_CONTENT_TYPES = [
+  "application/json",
+  "application/xml",
+  "application/javascript",
+  "application/x-javascript",
+  "application/typescript",
+  "application/x-yaml",
+  "application/yaml",
+  "application/toml",
+  "application/sql",
+  "application/x-sh",
+  "application/x-httpd-php",
+];
+
+// Audio extensions, for uploads without an audio/* content type
+const AUDIO_EXTENSIONS = new Set(
+  ".ogg .oga .opus .mp3 .wav .m4a .webm .flac".split(" ")
+);
+
+// Extensions read as text whatever content type Discord reports
+const TEXT_EXTENSIONS = new Set(
+  (
+    ".txt .md .markdown .log .csv .tsv .json .jsonl .xml .yaml .yml .toml .ini " +
+    ".cfg .conf .env .properties .html .css .scss .js .cjs .mjs .jsx .ts .tsx " +
+    ".py .rb .java .kt .c .h .cpp .hpp .cs .go .rs .php .swift .lua .sh .bash " +
+    ".ps1 .bat .sql .diff .patch"
+  ).split(" ")
+);
+
+/**
+ * Gets the content type of an attachment without parameters such as charset.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @returns {string} The lower-case content type, or "" if Discord did not report one.
+ */
+const getContentType = (attachment) =>
+  (attachment.contentType || "").split(";")[0].trim().toLowerCase();
+
+/**
+ * Decides how an attachment is read.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @returns {"image"|"audio"|"pdf"|"text"|null} The kind, or null if it is not supported.
+ */
+const getAttachmentKind = (attachment) => {
+  const contentType = getContentType(attachment);
+  const extension = path.extname(attachment.name || "").toLowerCase();
+  if (contentType.startsWith("image/")) return "image";
+  if (contentType.startsWith("audio/") || AUDIO_EXTENSIONS.has(extension)) {
+    return "audio";
+  }
+  if (contentType === "application/pdf" || extension === ".pdf") return "pdf";
+  if (
+    contentType.startsWith("text/") ||
+    TEXT_CONTENT_TYPES.includes(contentType) ||
+    TEXT_EXTENSIONS.has(extension)
+  ) {
+    return "text";
+  }
+  return null;
+};
+
+/**
+ * Downloads an attachment.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @returns {Promise<Buffer>} The file contents.
+ */
+const downloadAttachment = async (attachment) => {
+  logger.debug(`Fetching attachment: ${attachment.url}`);
+  const response = await fetch(attachment.url);
+  if (!response.ok) {
+    throw new Error(
+      `HTTP error fetching attachment! status: ${response.status}`
+    );
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Shortens a text to a token budget, keeping its beginning and its end
+ * (the end of a log is usually what matters).
+ * @param {string} text The text.
+ * @param {number} maxTokens The budget.
+ * @returns {string} The text, with a marker where the middle was left out.
+ */
+const truncateToTokens = (text, maxTokens) => {
+  const tokens = tokenBudget.countTokens(text);
+  if (tokens <= maxTokens) return text;
+  const keepChars = Math.floor((text.length * maxTokens) / tokens);
+  let head = text.slice(0, Math.ceil(keepChars / 2));
+  let tail = text.slice(text.length - Math.floor(keepChars / 2));
+  // Cut at line breaks where possible
+  if (head.includes("\n")) head = head.slice(0, head.lastIndexOf("\n"));
+  if (tail.includes("\n")) tail = tail.slice(tail.indexOf("\n") + 1);
+  const omittedChars = text.length - head.length - tail.length;
+  return `${head}\n[... ${omittedChars} characters omitted ...]\n${tail}`;
+};
+
+/**
+ * Wraps extracted file text in delimiters the model can recognize.
+ * @param {string} name The file name.
+ * @param {string} text The extracted text.
+ * @param {number} maxTokens Tokens the text may take up.
+ * @returns {string} The delimited block.
+ */
+const formatFileText = (name, text, maxTokens) =>
+  `[Attachment: ${name}]\n${truncateToTokens(
+    text.trim(),
+    maxTokens
+  )}\n[End of attachment: ${name}]`;
+
+/**
+ * Extracts the text of a PDF, reading at most PDF_MAX_PAGES pages and giving up after
+ * PDF_PARSE_TIMEOUT_MS.
+ * @param {Buffer} buffer The file contents.
+ * @returns {Promise<string>} The text.
+ */
+const parsePdf = (buffer) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new Error(
+            `Reading the PDF took longer than ${config.PDF_PARSE_TIMEOUT_MS} ms`
+          )
+        ),
+      config.PDF_PARSE_TIMEOUT_MS
+    );
+  });
+  return Promise.race([
+    pdfParse(buffer, { max: config.PDF_MAX_PAGES }),
+    timeout,
+  ])
+    .then((data) => data.text)
+    .finally(() => clearTimeout(timer));
+};
+
+/**
+ * Reads an image: kept as data for vision-capable chat models, otherwise described.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @param {Buffer} buffer The file contents.
+ * @param {boolean} sendImagesNatively Whether the chat model accepts images.
+ * @returns {Promise<{text: string, image?: {data: string, mimeType: string, name: string}}>}
+ */
+const readImage = async (attachment, buffer, sendImagesNatively) => {
+  const base64Image = buffer.toString("base64");
+  if (sendImagesNatively) {
+    // The chat model sees the image itself; the marker keeps the text readable
+    return {
+      text: `[Image: ${attachment.name}]`,
+      image: {
+        data: base64Image,
+        mimeType: getContentType(attachment),
+        name: attachment.name,
+      },
+    };
+  }
+
+  logger.debug(
+    `Sending image ${attachment.name} to AI service for description.`
+  );
+  const description = await aiServiceProvider.describeImage(
+    base64Image,
+    config.IMAGE_READER_PROMPT
+  );
+  if (!description) {
+    logger.warn(
+      `AI service returned empty description for ${attachment.name}`
+    );
+    return {
+      text: `[Image Description for ${attachment.name}]: Could not generate description.`,
+    };
+  }
+  logger.debug(`Successfully described image: ${attachment.name}`);
+  return { text: `[Image Description for file]: ${description}` };
+};
+
+/**
+ * Gets the label of an audio transcript. Discord voice messages carry a waveform.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @returns {string} The label.
+ */
+const getTranscriptLabel = (attachment) =>
+  attachment.waveform
+    ? "[Voice message transcript]"
+    : `[Audio transcript for ${attachment.name}]`;
+
+/**
+ * Transcribes a voice message or audio file.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @param {Buffer} buffer The file contents.
+ * @returns {Promise<string>} The transcript for the user turn.
+ */
+const readAudio = async (attachment, buffer) => {
+  const transcript = await transcriptionService.transcribe(buffer, {
+    fileName: attachment.name,
+    mimeType: getContentType(attachment) || "application/octet-stream",
+  });
+  logger.debug(`Transcribed audio: ${attachment.name}`);
+  return `${getTranscriptLabel(attachment)}: ${
+    transcript || "(no speech recognized)"
+  }`;
+};
+
+/**
+ * Reads the text of a text-like file or PDF.
+ * @param {import('discord.js').Attachment} attachment The attachment.
+ * @param {Buffer} buffer The file contents.
+ * @param {"pdf"|"text"} kind How to read it.
+ * @param {number} maxTokens Tokens the text may take up.
+ * @returns {Promise<string>} The delimited text for the user turn.
+ */
+const readFile = async (attachment, buffer, kind, maxTokens) => {
+  let text;
+  if (kind === "pdf") {
+    text = await parsePdf(buffer);
+  } else {
+    text = buffer.toString("utf8");
+    if (text.includes("\u0000")) {
+      return `[Attachment: ${attachment.name} (binary file, not read)]`;
+    }
+  }
+  if (!text.trim()) {
+    return `[Attachment: ${attachment.name} (no text found)]`;
+  }
+  return formatFileText(attachment.name, text, maxTokens);
+};
+
+/**
+ * Reads the attachments of a message. Files that cannot be read leave a short note
+ * instead, so the model knows they were there. Text files and PDFs share
+ * ATTACHMENT_TOTAL_MAX_TOKENS, so many files in one turn cannot crowd out the history.
+ * @param {import('discord.js').Collection<string, import('discord.js').Attachment>} attachments
+ * @param {object} options
+ * @param {boolean} options.sendImagesNatively Whether the chat model accepts images.
+ * @returns {Promise<{texts: string[], images: Array<{data: string, mimeType: string, name: string}>}>}
+ *   Text for the user turn in attachment order, and the images to send natively.
+ */
+const processAttachments = async (attachments, { sendImagesNatively }) => {
+  const texts = [];
+  const images = [];
+  const canDescribeImages = aiServiceProvider.isImageProcessingAvailable();
+  const canTranscribe = transcriptionService.isAvailable();
+  let remainingFileTokens = config.ATTACHMENT_TOTAL_MAX_TOKENS;
+
+  for (const attachment of attachments.values()) {
+    const kind = getAttachmentKind(attachment);
+    if (!kind) {
+      texts.push(
+        `[Attachment: ${attachment.name} (unsupported file type, not read)]`
+      );
+      continue;
+    }
+    if (
+      (kind === "image" && !sendImagesNatively && !canDescribeImages) ||
+      (kind === "audio" && !canTranscribe)
+    ) {
+      continue;
+    }
+    const isFile = kind === "text" || kind === "pdf";
+    if (isFile && attachment.size > config.ATTACHMENT_MAX_BYTES) {
+      texts.push(`[Attachment: ${attachment.name} (too large, not read)]`);
+      continue;
+    }
+    if (isFile && remainingFileTokens <= 0) {
+      texts.push(
+        `[Attachment: ${attachment.name} (not read, too much attached text in this message)]`
+      );
+      continue;
+    }
+
+    try {
+      const buffer = await downloadAttachment(attachment);
+      if (kind === "image") {
+        const { text, image } = await readImage(
+          attachment,
+          buffer,
+          sendImagesNatively
+        );
+        texts.push(text);
+        if (image) images.push(image);
+      } else if (kind === "audio") {
+        texts.push(await readAudio(attachment, buffer));
+      } else {
+        const text = await readFile(
+          attachment,
+          buffer,
+          kind,
+          Math.min(config.ATTACHMENT_MAX_TOKENS, remainingFileTokens)
+        );
+        remainingFileTokens -= tokenBudget.countTokens(text);
+        texts.push(text);
+      }
+    } catch (error) {
+      logger.error(`Error processing attachment ${attachment.name}:`, error);
+      if (kind === "image") {
+        texts.push(
+          `[Image Description for ${attachment.name}]: Unable to process image.`
+        );
+      } else if (kind === "audio") {
+        texts.push(`${getTranscriptLabel(attachment)}: Unable to transcribe.`);
+      } else {
+        texts.push(`[Attachment: ${attachment.name} (could not be read)]`);
+      }
+    }
+  }
+  return { texts, images };
+};
+
+module.exports = {
+  downloadAttachment,
+  processAttachments,
+};
@@ -0,0 +1,175 @@
+// src/utils/characterCardImporter.js
+// Turns SillyTavern / TavernAI character cards (JSON, or PNG with a "chara" chunk) into personas.
+
+const logger = require("../logger");
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+// Cards store their JSON base64-encoded in a tEXt chunk with this keyword
+const CARD_PNG_KEYWORD = "chara";
+// SillyTavern's main prompt, used when the card brings no system prompt of its own
+const DEFAULT_CARD_PROMPT =
+  "Write {{char}}'s next reply in a fictional chat between {{char}} and {{user}}.";
+// Prompt template placeholder for the user's name (see promptTemplate)
+const USER_PLACEHOLDER = "<user>";
+const MAX_DESCRIPTION_LENGTH = 100;
+
+/**
+ * The character fields of a card (V2 `data`, or the top level of a V1 card).
+ * @typedef {object} CharacterCard
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [personality]
+ * @property {string} [scenario]
+ * @property {string} [first_mes]
+ * @property {string} [mes_example]
+ * @property {string} [system_prompt]
+ * @property {string} [post_history_instructions]
+ * @property {string} [creator_notes]
+ */
+
+/**
+ * Reads a tEXt chunk from a PNG file.
+ * @param {Buffer} buffer The PNG file.
+ * @param {string} keyword The chunk keyword.
+ * @returns {string|null} The chunk text, or null if the PNG has no such chunk.
+ */
+const readPngTextChunk = (buffer, keyword) => {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    if (dataStart + length > buffer.length) break; // Truncated file
+    if (type === "tEXt") {
+      const data = buffer.subarray(dataStart, dataStart + length);
+      const separator = data.indexOf(0);
+      if (
+        separator !== -1 &&
+        data.toString("latin1", 0, separator) === keyword
+      ) {
+        return data.toString("latin1", separator + 1);
+      }
+    }
+    if (type === "IEND") break;
+    offset = dataStart + length + 4; // Skip the CRC
+  }
+  return null;
+};
+
+/**
+ * Parses a character card file.
+ * @param {Buffer} buffer The card: JSON, or a PNG with the card in its "chara" chunk.
+ * @returns {CharacterCard} The character fields.
+ * @throws {Error} If the file is not a readable character card.
+ */
+const parseCard = (buffer) => {
+  let json;
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    const encoded = readPngTextChunk(buffer, CARD_PNG_KEYWORD);
+    if (!encoded) {
+      throw new Error("The image has no character card embedded in it.");
+    }
+    json = Buffer.from(encoded, "base64").toString("utf8");
+  } else {
+    json = buffer.toString("utf8").replace(/^\uFEFF/, ""); // Strip a byte order mark
+  }
+
+  let card;
+  try {
+    card = JSON.parse(json);
+  } catch (error) {
+    throw new Error("The character card is not valid JSON.");
+  }
+  // V2 cards keep the character in `data`; V1 cards at the top level
+  const character =
+    card && card.data && typeof card.data === "object" ? card.data : card;
+  if (!character || typeof character.name !== "string" || !character.name) {
+    throw new Error("The character card has no name.");
+  }
+  return character;
+};
+
+/**
+ * Replaces the card macros: {{char}} with the character's name and {{user}} with the
+ * user's name placeholder. Also handles the old <BOT>/<USER> spellings.
+ * @param {string} text The text.
+ * @param {string} characterName The character's name.
+ * @returns {string} The text with macros replaced.
+ */
+const replaceMacros = (text, characterName) =>
+  (text || "")
+    .replace(/\{\{char\}\}|<BOT>/gi, characterName)
+    .replace(/\{\{user\}\}|<USER>/gi, USER_PLACEHOLDER)
+    .trim();
+
+/**
+ * Builds the system prompt from a card, in the order SillyTavern sends it:
+ * main prompt, description, personality, scenario, example dialogues, post-history instructions.
+ * @param {CharacterCard} card The character fields.
+ * @returns {string} The system prompt.
+ */
+const buildSystemPrompt = (card) => {
+  const mainPrompt = (card.system_prompt || "").trim()
+    ? card.system_prompt.replace(/\{\{original\}\}/gi, DEFAULT_CARD_PROMPT)
+    : DEFAULT_CARD_PROMPT;
+  const sections = [
+    mainPrompt,
+    card.description,
+    card.personality && `{{char}}'s personality: ${card.personality}`,
+    card.scenario && `Scenario: ${card.scenario}`,
+    card.mes_example &&
+      `Examples of how {{char}} talks:\n${card.mes_example.replace(
+        /<START>\s*/gi,
+        ""
+      )}`,
+    card.post_history_instructions,
+  ];
+  return sections
+    .map((section) => replaceMacros(section, card.name))
+    .filter((section) => section)
+    .join("\n\n");
+};
+
+/**
+ * Converts a card to a persona.
+ * @param {CharacterCard} card The character fields.
+ * @param {string} name The persona name.
+ * @returns {import('./personaManager').Persona} The persona.
+ */
+const cardToPersona = (card, name) => {
+  const persona = {
+    name,
+    displayName: card.name.trim(),
+    systemPrompt: buildSystemPrompt(card),
+  };
+  const notes = replaceMacros(card.creator_notes, card.name).split("\n")[0];
+  persona.description = notes
+    ? notes.substring(0, MAX_DESCRIPTION_LENGTH)
+    : "Imported character card";
+  const greeting = replaceMacros(card.first_mes, card.name);
+  if (greeting) persona.greeting = greeting;
+  logger.debug(
+    `CharacterCardImporter: Converted card "${card.name}" to persona ${name}.`
+  );
+  return persona;
+};
+
+/**
+ * Derives a persona name from a character name, e.g. "Aqua (Konosuba)" -> "aqua-konosuba".
+ * @param {string} characterName The character's name.
+ * @returns {string} The persona name (may be empty for names without latin letters or digits).
+ */
+const toPersonaName = (characterName) =>
+  characterName
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 32)
+    .replace(/-+$/, "");
+
+module.exports = {
+  parseCard,
+  cardToPersona,
+  toPersonaName,
+};
@@ -0,0 +1,36 @@
+// src/utils/circuitBreaker.js
+// Tracks consecutive failures of a dependency and trips it out for a cool-down window.
+
+/**
+ * Creates a circuit breaker.
+ * After `threshold` consecutive failures the breaker opens and `isOpen()` returns true
+ * until `cooldownMs` has passed. The first call after the cool-down is let through as a
+ * trial: a success closes the breaker, another failure opens it again right away.
+ * @param {object} options
+ * @param {number} options.threshold Consecutive failures before the breaker opens (<= 0 disables it).
+ * @param {number} options.cooldownMs How long the breaker stays open, in milliseconds.
+ * @returns {{isOpen: () => boolean, recordSuccess: () => void, recordFailure: () => void, getState: () => {failures: number, openUntil: number}}}
+ */
+const createCircuitBreaker = ({ threshold, cooldownMs }) => {
+  let failures = 0;
+  let openUntil = 0;
+
+  return {
+    isOpen: () => threshold > 0 && Date.now() < openUntil,
+    recordSuccess: () => {
+      failures = 0;
+      openUntil = 0;
+    },
+    recordFailure: () => {
+      failures++;
+      if (threshold > 0 && failures >= threshold) {
+        openUntil = Date.now() + cooldownMs;
+      }
+    },
+    getState: () => ({ failures, openUntil }),
+  };
+};
+
+module.exports = {
+  createCircuitBreaker,
+};
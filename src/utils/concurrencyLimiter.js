@@ -0,0 +1,57 @@
+// src/utils/concurrencyLimiter.js
+// Lets only a limited number of tasks run at once; the rest wait their turn in order.
+
+/**
+ * Creates a concurrency limiter.
+ * At most `maxConcurrent` tasks hold a slot at the same time. Callers beyond that wait
+ * first-come, first-served until a slot is released.
+ * @param {number} maxConcurrent Slots (<= 0 means unlimited).
+ * @returns {{acquire: (onQueued?: () => void) => Promise<() => void>, run: (task: () => Promise<any>, onQueued?: () => void) => Promise<any>, getState: () => {active: number, waiting: number}}}
+ *   `acquire` resolves with a function that releases the slot; `onQueued` is called when
+ *   the caller has to wait. `run` holds a slot while the task runs.
+ */
+const createConcurrencyLimiter = (maxConcurrent) => {
+  let active = 0;
+  const waiting = [];
+
+  const createRelease = () => {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const next = waiting.shift();
+      if (next) {
+        next(); // The slot passes straight to the next caller
+      } else {
+        active--;
+      }
+    };
+  };
+
+  const acquire = async (onQueued) => {
+    if (maxConcurrent <= 0 || active < maxConcurrent) {
+      active++;
+      return createRelease();
+    }
+    if (onQueued) onQueued();
+    await new Promise((resolve) => waiting.push(resolve));
+    return createRelease();
+  };
+
+  return {
+    acquire,
+    run: async (task, onQueued) => {
+      const release = await acquire(onQueued);
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    },
+    getState: () => ({ active, waiting: waiting.length }),
+  };
+};
+
+module.exports = {
+  createConcurrencyLimiter,
+};
@@ -0,0 +1,42 @@
+// src/utils/conversationQueue.js
+// Runs the AI turns of a conversation one after another, in the order they were queued.
+
+const logger = require("../logger");
+const { createConcurrencyLimiter } = require("./concurrencyLimiter");
+
+/** @type {Map<string, ReturnType<typeof createConcurrencyLimiter>>} */
+const queues = new Map();
+
+/**
+ * Runs a task once every task queued before it for the same conversation has finished.
+ * @param {string} channelId The conversation key (channel ID or dm_userId).
+ * @param {() => Promise<any>} task The AI turn.
+ * @param {() => void} [onQueued] Called when the task has to wait.
+ * @returns {Promise<any>} The task's result.
+ */
+const enqueue = async (channelId, task, onQueued) => {
+  let queue = queues.get(channelId);
+  if (!queue) {
+    queue = createConcurrencyLimiter(1);
+    queues.set(channelId, queue);
+  }
+  try {
+    return await queue.run(task, () => {
+      logger.debug(
+        `ConversationQueue: ${channelId} is busy, ${
+          queue.getState().waiting + 1
+        } turn(s) waiting.`
+      );
+      if (onQueued) onQueued();
+    });
+  } finally {
+    const { active, waiting } = queue.getState();
+    if (active === 0 && waiting === 0 && queues.get(channelId) === queue) {
+      queues.delete(channelId);
+    }
+  }
+};
+
+module.exports = {
+  enqueue,
+};
@@ -0,0 +1,122 @@
+// src/utils/conversationSettingsManager.js
+// Stores per-conversation settings (e.g., model overrides) that can be changed at runtime.
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../logger");
+
+// Default path for the conversation settings JSON file
+const SETTINGS_FILE = path.join(
+  process.cwd(),
+  "data",
+  "conversationSettings.json"
+);
+
+// conversationKey -> { field: value }
+let settings = null;
+
+/**
+ * Loads the settings from file on first use.
+ * @returns {object} The in-memory settings.
+ */
+const getSettings = () => {
+  if (settings) return settings;
+  settings = {};
+  if (fs.existsSync(SETTINGS_FILE)) {
+    try {
+      const data = fs.readFileSync(SETTINGS_FILE, "utf8");
+      settings = data.trim() === "" ? {} : JSON.parse(data);
+      logger.log(
+        `ConversationSettings: Loaded settings for ${
+          Object.keys(settings).length
+        } conversations`
+      );
+    } catch (error) {
+      logger.error(
+        `ConversationSettings: Error loading ${SETTINGS_FILE}, starting fresh:`,
+        error
+      );
+      settings = {};
+    }
+  }
+  return settings;
+};
+
+/**
+ * Saves the settings to file.
+ * @returns {boolean} True if saved successfully.
+ */
+const saveSettings = () => {
+  try {
+    const dataDir = path.dirname(SETTINGS_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(
+      SETTINGS_FILE,
+      JSON.stringify(getSettings(), null, 2),
+      "utf8"
+    );
+    logger.debug(`ConversationSettings: Saved settings to ${SETTINGS_FILE}`);
+    return true;
+  } catch (error) {
+    logger.error("ConversationSettings: Error saving settings:", error);
+    return false;
+  }
+};
+
+/**
+ * Gets a setting for a conversation.
+ * @param {string} conversationKey The conversation key (channel ID or dm_userId).
+ * @param {string} field The setting name.
+ * @returns {*} The value, or undefined if not set.
+ */
+const getSetting = (conversationKey, field) => {
+  const conversation = getSettings()[conversationKey];
+  return conversation ? conversation[field] : undefined;
+};
+
+/**
+ * Sets a setting for a conversation and saves immediately.
+ * @param {string} conversationKey The conversation key (channel ID or dm_userId).
+ * @param {string} field The setting name.
+ * @param {*} value The value to store.
+ * @returns {boolean} True if saved successfully.
+ */
+const setSetting = (conversationKey, field, value) => {
+  const all = getSettings();
+  if (!all[conversationKey]) all[conversationKey] = {};
+  all[conversationKey][field] = value;
+  logger.log(
+    `ConversationSettings: Set ${field} for ${conversationKey}: ${JSON.stringify(
+      value
+    )}`
+  );
+  return saveSettings();
+};
+
+/**
+ * Removes a setting for a conversation and saves immediately.
+ * @param {string} conversationKey The conversation key (channel ID or dm_userId).
+ * @param {string} field The setting name.
+ * @returns {boolean} True if the setting existed and was removed.
+ */
+const clearSetting = (conversationKey, field) => {
+  const all = getSettings();
+  if (!all[conversationKey] || !(field in all[conversationKey])) {
+    return false;
+  }
+  delete all[conversationKey][field];
+  if (Object.keys(all[conversationKey]).length === 0) {
+    delete all[conversationKey];
+  }
+  logger.log(`ConversationSettings: Cleared ${field} for ${conversationKey}`);
+  return saveSettings();
+};
+
+module.exports = {
+  getSetting,
+  setSetting,
+  clearSetting,
+  saveSettings,
+};
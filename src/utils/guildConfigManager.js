@@ -0,0 +1,172 @@
+// src/utils/guildConfigManager.js
+// Stores per-guild (server) configuration that admins can change at runtime, on top of the global config.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const logger = require("../logger");
+
+// Default path for the guild configuration JSON file
+const GUILDS_FILE = path.join(process.cwd(), "data", "guilds.json");
+
+const HISTORY_MODES = ["on", "off"];
+
+/**
+ * What a guild can override. Fields left out fall back to the global configuration.
+ * @typedef {object} GuildConfig
+ * @property {string[]} [channels] Channels the bot answers in (replaces TARGET_CHANNEL_ID).
+ * @property {string} [prefix] Replaces BOT_PREFIX ("" for none).
+ * @property {string} [persona] Replaces DEFAULT_PERSONA.
+ * @property {"on"|"off"} [historyMode] "off" answers each message on its own, without history.
+ * @property {number} [cooldownMs] Replaces COOLDOWN_TIME.
+ */
+
+// guildId -> GuildConfig
+let guilds = null;
+
+/**
+ * Loads the guild configuration from file on first use.
+ * @returns {Object<string, GuildConfig>} The in-memory configuration.
+ */
+const getGuilds = () => {
+  if (guilds) return guilds;
+  guilds = {};
+  if (fs.existsSync(GUILDS_FILE)) {
+    try {
+      const data = fs.readFileSync(GUILDS_FILE, "utf8");
+      guilds = data.trim() === "" ? {} : JSON.parse(data);
+      logger.log(
+        `GuildConfig: Loaded configuration for ${
+          Object.keys(guilds).length
+        } guilds`
+      );
+    } catch (error) {
+      logger.error(
+        `GuildConfig: Error loading ${GUILDS_FILE}, starting fresh:`,
+        error
+      );
+      guilds = {};
+    }
+  }
+  return guilds;
+};
+
+/**
+ * Saves the guild configuration to file.
+ * @returns {boolean} True if saved successfully.
+ */
+const saveGuilds = () => {
+  try {
+    const dataDir = path.dirname(GUILDS_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(GUILDS_FILE, JSON.stringify(getGuilds(), null, 2), "utf8");
+    logger.debug(`GuildConfig: Saved configuration to ${GUILDS_FILE}`);
+    return true;
+  } catch (error) {
+    logger.error("GuildConfig: Error saving configuration:", error);
+    return false;
+  }
+};
+
+/**
+ * Gets what a guild has stored, without the global fallbacks.
+ * @param {string|null} guildId The guild ID (null for DMs).
+ * @returns {GuildConfig} The stored overrides (empty if there are none).
+ */
+const getGuildConfig = (guildId) => ({ ...(getGuilds()[guildId] || {}) });
+
+/**
+ * Gets the settings that apply in a guild: its overrides, else the global configuration.
+ * @param {string|null} guildId The guild ID (null for DMs, which use the global configuration).
+ * @returns {{channels: string[], prefix: string, persona: string, historyMode: "on"|"off", cooldownMs: number}}
+ *   `channels` is empty when the bot answers in every channel.
+ */
+const getGuildSettings = (guildId) => {
+  const stored = (guildId && getGuilds()[guildId]) || {};
+  return {
+    channels:
+      stored.channels && stored.channels.length > 0
+        ? stored.channels
+        : config.TARGET_CHANNEL_ID
+        ? [config.TARGET_CHANNEL_ID]
+        : [],
+    prefix: stored.prefix !== undefined ? stored.prefix : config.BOT_PREFIX,
+    persona: stored.persona || config.DEFAULT_PERSONA,
+    historyMode: stored.historyMode || "on",
+    cooldownMs:
+      stored.cooldownMs !== undefined ? stored.cooldownMs : config.COOLDOWN_TIME,
+  };
+};
+
+/**
+ * Sets a guild setting and saves immediately.
+ * @param {string} guildId The guild ID.
+ * @param {keyof GuildConfig} field The setting name.
+ * @param {*} value The value to store.
+ * @returns {boolean} True if saved successfully.
+ */
+const setGuildSetting = (guildId, field, value) => {
+  const all = getGuilds();
+  if (!all[guildId]) all[guildId] = {};
+  all[guildId][field] = value;
+  logger.log(`GuildConfig: Set ${field} for ${guildId}: ${JSON.stringify(value)}`);
+  return saveGuilds();
+};
+
+/**
+ * Removes a guild setting (back to the global value) and saves immediately.
+ * @param {string} guildId The guild ID.
+ * @param {keyof GuildConfig} field The setting name.
+ * @returns {boolean} True if the setting existed and was removed.
+ */
+const clearGuildSetting = (guildId, field) => {
+  const all = getGuilds();
+  if (!all[guildId] || !(field in all[guildId])) {
+    return false;
+  }
+  delete all[guildId][field];
+  if (Object.keys(all[guildId]).length === 0) {
+    delete all[guildId];
+  }
+  logger.log(`GuildConfig: Cleared ${field} for ${guildId}`);
+  return saveGuilds();
+};
+
+/**
+ * Enables the bot in a channel of a guild.
+ * @param {string} guildId The guild ID.
+ * @param {string} channelId The channel ID.
+ * @returns {boolean} True if the channel was added and saved, false if it was already enabled.
+ */
+const addChannel = (guildId, channelId) => {
+  const channels = getGuildConfig(guildId).channels || [];
+  if (channels.includes(channelId)) return false;
+  return setGuildSetting(guildId, "channels", [...channels, channelId]);
+};
+
+/**
+ * Disables the bot in a channel of a guild.
+ * @param {string} guildId The guild ID.
+ * @param {string} channelId The channel ID.
+ * @returns {boolean} True if the channel was removed and saved, false if it was not enabled.
+ */
+const removeChannel = (guildId, channelId) => {
+  const channels = getGuildConfig(guildId).channels || [];
+  if (!channels.includes(channelId)) return false;
+  const remaining = channels.filter((id) => id !== channelId);
+  return remaining.length > 0
+    ? setGuildSetting(guildId, "channels", remaining)
+    : clearGuildSetting(guildId, "channels");
+};
+
+module.exports = {
+  HISTORY_MODES,
+  getGuildConfig,
+  getGuildSettings,
+  setGuildSetting,
+  clearGuildSetting,
+  addChannel,
+  removeChannel,
+};
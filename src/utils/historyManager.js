@@ -2,12 +2,68 @@
 // Manages loading, saving, and accessing conversation history.
 
 const fs = require("fs");
+const path = require("path");
 const config = require("../../config"); // Adjust path
 const logger = require("../logger"); // Adjust path
+const tokenBudget = require("./tokenBudget");
 
 // Map to store message history per channel: channelId -> Array of messages { role, content }
 let conversationHistory = new Map();
+// Running summaries of pruned messages per channel: channelId -> string
+let conversationSummaries = new Map();
 let saveIntervalId = null;
+// Called with (channelId, prunedMessages) when old messages are dropped from a history
+let pruneHandler = null;
+
+// Summaries are kept next to the history file
+const SUMMARIES_FILE_PATH = path.join(
+  path.dirname(config.HISTORY_FILE_PATH),
+  "conversationSummaries.json"
+);
+
+/**
+ * Loads the conversation summaries from the JSON file next to the history file.
+ */
+const loadSummaries = () => {
+  if (!fs.existsSync(SUMMARIES_FILE_PATH)) {
+    conversationSummaries = new Map();
+    return;
+  }
+  try {
+    const data = fs.readFileSync(SUMMARIES_FILE_PATH, "utf8");
+    conversationSummaries = new Map(Object.entries(JSON.parse(data)));
+    logger.log(
+      `Loaded ${conversationSummaries.size} conversation summaries from ${SUMMARIES_FILE_PATH}`
+    );
+  } catch (error) {
+    logger.error(
+      `Error loading conversation summaries from ${SUMMARIES_FILE_PATH}:`,
+      error
+    );
+    conversationSummaries = new Map(); // Start fresh on error
+  }
+};
+
+/**
+ * Saves the conversation summaries to the JSON file next to the history file.
+ */
+const saveSummaries = () => {
+  if (conversationSummaries.size === 0 && !fs.existsSync(SUMMARIES_FILE_PATH)) {
+    return;
+  }
+  try {
+    fs.writeFileSync(
+      SUMMARIES_FILE_PATH,
+      JSON.stringify(Object.fromEntries(conversationSummaries), null, 2),
+      "utf8"
+    );
+  } catch (error) {
+    logger.error(
+      `Error saving conversation summaries to ${SUMMARIES_FILE_PATH}:`,
+      error
+    );
+  }
+};
 
 /**
  * Loads conversation history from the JSON file.
@@ -17,7 +73,13 @@ const loadHistory = () => {
     try {
       const data = fs.readFileSync(config.HISTORY_FILE_PATH, "utf8");
       const historyObject = JSON.parse(data);
-      conversationHistory = new Map(Object.entries(historyObject));
+      // Older versions stored attached images as base64; only the reference in the text is kept
+      conversationHistory = new Map(
+        Object.entries(historyObject).map(([channelId, messages]) => [
+          channelId,
+          messages.map(({ images, ...message }) => message),
+        ])
+      );
       logger.log(`Loaded conversation history from ${config.HISTORY_FILE}`);
     } catch (error) {
       logger.error(
@@ -32,6 +94,7 @@ const loadHistory = () => {
     );
     conversationHistory = new Map();
   }
+  loadSummaries();
 };
 
 /**
@@ -59,6 +122,7 @@ const saveHistory = () => {
       error
     );
   }
+  saveSummaries();
 };
 
 /**
@@ -115,6 +179,7 @@ const updateChannelHistory = (channelId, history) => {
  * @returns {boolean} True if history was cleared, false if no history existed.
  */
 const clearChannelHistory = (channelId) => {
+  conversationSummaries.delete(channelId); // The summary belongs to the history
   if (conversationHistory.has(channelId)) {
     conversationHistory.delete(channelId);
     saveHistory(); // Save immediately after clearing
@@ -127,6 +192,8 @@ const clearChannelHistory = (channelId) => {
 
 /**
  * Adds a message to the channel's history, respecting MAX_HISTORY_SIZE.
+ * The token budget is applied when the prompt is built (see getHistoryForPrompt),
+ * so a small budget never deletes stored messages.
  * @param {string} channelId
  * @param {{role: string, content: string}} messageObject
  */
@@ -142,17 +209,70 @@ const addMessageToHistory = (channelId, messageObject) => {
 
   let history = getChannelHistory(channelId);
   history.push(messageObject);
+  let prunedMessages = [];
 
   if (config.MAX_HISTORY_SIZE > 0 && history.length > config.MAX_HISTORY_SIZE) {
     // Prune from the beginning to keep the most recent messages
+    prunedMessages = history.slice(0, history.length - config.MAX_HISTORY_SIZE);
     history = history.slice(history.length - config.MAX_HISTORY_SIZE);
   }
-  // If MAX_HISTORY_SIZE is -1 (unlimited), no pruning is done here.
+  // If MAX_HISTORY_SIZE is -1 (unlimited), no message-count pruning is done here.
 
   updateChannelHistory(channelId, history);
   logger.debug(
     `Added message to history for channel ${channelId}. New length: ${history.length}`
   );
+
+  if (prunedMessages.length > 0 && pruneHandler) {
+    pruneHandler(channelId, prunedMessages);
+  }
+};
+
+/**
+ * Gets the most recent messages of a channel's history that fit into a prompt.
+ * Older messages stay stored; only messages pruned by addMessageToHistory are
+ * summarized, so a tight budget in one turn does not put messages that later fit
+ * again into the summary as well.
+ * @param {string} channelId The ID of the channel.
+ * @param {number} maxTokens Tokens available for the history in this prompt.
+ * @param {number} [maxMessages=-1] At most this many messages (-1 for no limit).
+ * @returns {Array<{role: string, content: string}>} The messages to send, oldest first.
+ */
+const getHistoryForPrompt = (channelId, maxTokens, maxMessages = -1) => {
+  const history = getChannelHistory(channelId);
+  let recentHistory = history;
+  if (maxMessages === 0) {
+    recentHistory = [];
+  } else if (maxMessages > 0) {
+    recentHistory = history.slice(Math.max(0, history.length - maxMessages));
+  }
+  return tokenBudget.fitToBudget(recentHistory, maxTokens);
+};
+
+/**
+ * Sets the function that receives messages pruned from a channel's history,
+ * e.g. to summarize them. Only one handler is kept.
+ * @param {((channelId: string, prunedMessages: Array<{role: string, content: string}>) => void)|null} handler
+ */
+const setPruneHandler = (handler) => {
+  pruneHandler = handler;
+};
+
+/**
+ * Gets the running summary of a channel's pruned messages.
+ * @param {string} channelId The ID of the channel.
+ * @returns {string|null} The summary, or null if nothing was summarized yet.
+ */
+const getChannelSummary = (channelId) =>
+  conversationSummaries.get(channelId) || null;
+
+/**
+ * Replaces the running summary of a channel's pruned messages.
+ * @param {string} channelId The ID of the channel.
+ * @param {string} summary The new summary.
+ */
+const setChannelSummary = (channelId, summary) => {
+  conversationSummaries.set(channelId, summary);
 };
 
 module.exports = {
@@ -164,6 +284,10 @@ module.exports = {
   updateChannelHistory,
   clearChannelHistory,
   addMessageToHistory,
+  getHistoryForPrompt,
+  setPruneHandler,
+  getChannelSummary,
+  setChannelSummary,
   // For direct access if needed, e.g., for `addhistory` command modifying past
   getRawHistoryMap: () => conversationHistory,
   setRawHistoryMap: (newMap) => {
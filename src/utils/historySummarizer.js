@@ -0,0 +1,113 @@
+// src/utils/historySummarizer.js
+// Condenses messages pruned from a conversation's history into a running summary.
+
+const config = require("../../config");
+const logger = require("../logger");
+const aiServiceProvider = require("../aiServiceProvider");
+const historyManager = require("./historyManager");
+
+// Pruned messages waiting to be summarized: channelId -> Array of messages
+const prunedBatches = new Map();
+// Summaries of one channel are updated one after another: channelId -> Promise
+const pendingUpdates = new Map();
+// Bumped when a channel is cleared, so summaries still being written for it are dropped
+const clearCounts = new Map();
+
+/**
+ * Formats messages as a plain transcript for the summarization prompt.
+ * @param {Array<{role: string, content: string}>} messages The messages.
+ * @returns {string} One line per message.
+ */
+const formatTranscript = (messages) =>
+  messages
+    .map(
+      ({ role, content }) =>
+        `${role === "assistant" ? "Bot" : "User"}: ${content}`
+    )
+    .join("\n");
+
+/**
+ * Asks the AI to fold the pruned messages into the channel's summary and stores the result.
+ * @param {string} channelId The conversation key.
+ * @param {Array<{role: string, content: string}>} prunedMessages Messages dropped from the history.
+ */
+const updateSummary = async (channelId, prunedMessages) => {
+  const clearCount = clearCounts.get(channelId) || 0;
+  const previousSummary = historyManager.getChannelSummary(channelId);
+  const prompt = [
+    previousSummary
+      ? `Current summary:\n${previousSummary}`
+      : "There is no summary yet.",
+    `Messages to add:\n${formatTranscript(prunedMessages)}`,
+  ].join("\n\n");
+
+  const summary = await aiServiceProvider.chat(
+    [{ role: "user", content: prompt }],
+    {
+      systemPrompt: `${config.SUMMARY_PROMPT} Use at most ${config.SUMMARY_MAX_WORDS} words.`,
+    }
+  );
+  if (!summary || !summary.trim()) {
+    logger.warn(
+      `Could not summarize ${prunedMessages.length} pruned messages for channel ${channelId}. They are lost.`
+    );
+    return;
+  }
+  if ((clearCounts.get(channelId) || 0) !== clearCount) {
+    logger.debug(
+      `Channel ${channelId} was cleared while its summary was updated. Dropping the summary.`
+    );
+    return;
+  }
+
+  historyManager.setChannelSummary(channelId, summary.trim());
+  historyManager.saveHistory();
+  logger.log(
+    `Updated conversation summary for channel ${channelId} with ${prunedMessages.length} pruned messages.`
+  );
+};
+
+/**
+ * Prune handler for historyManager. Collects pruned messages and summarizes them in the
+ * background once SUMMARY_BATCH_SIZE have piled up, so not every turn costs an extra request.
+ * @param {string} channelId The conversation key.
+ * @param {Array<{role: string, content: string}>} messages Messages dropped from the history.
+ */
+const summarizePrunedMessages = (channelId, messages) => {
+  const batch = (prunedBatches.get(channelId) || []).concat(messages);
+  if (batch.length < config.SUMMARY_BATCH_SIZE) {
+    prunedBatches.set(channelId, batch);
+    return;
+  }
+  prunedBatches.delete(channelId);
+
+  const previous = pendingUpdates.get(channelId) || Promise.resolve();
+  const update = previous
+    .then(() => updateSummary(channelId, batch))
+    .catch((error) =>
+      logger.error(`Error summarizing history for channel ${channelId}:`, error)
+    )
+    .finally(() => {
+      if (pendingUpdates.get(channelId) === update) {
+        pendingUpdates.delete(channelId);
+      }
+    });
+  pendingUpdates.set(channelId, update);
+};
+
+/**
+ * Forgets the messages a channel has waiting for the summary, and drops summaries that are
+ * still being written for it. Called when the channel's history is cleared.
+ * @param {string} channelId The conversation key.
+ */
+const clearChannel = (channelId) => {
+  prunedBatches.delete(channelId);
+  if (pendingUpdates.has(channelId)) {
+    clearCounts.set(channelId, (clearCounts.get(channelId) || 0) + 1);
+  }
+};
+
+module.exports = {
+  summarizePrunedMessages,
+  clearChannel,
+};
@@ -0,0 +1,86 @@
+// src/utils/humanBehavior.js
+// Timing model that makes replies feel typed by a person: reading and typing delays with jitter.
+
+const config = require("../../config");
+const logger = require("../logger");
+
+/**
+ * Varies a delay by up to ±DELAY_JITTER (a fraction of it).
+ * @param {number} ms The delay.
+ * @returns {number} The varied delay, never negative.
+ */
+const withJitter = (ms) =>
+  Math.max(
+    0,
+    Math.round(ms * (1 + (Math.random() * 2 - 1) * config.DELAY_JITTER))
+  );
+
+/**
+ * How long reading a message takes.
+ * @param {string} text The incoming message.
+ * @returns {number} Milliseconds (READ_DELAY_PER_CHAR_MS per character, at most READ_DELAY_MAX_MS).
+ */
+const getReadDelay = (text) =>
+  withJitter(
+    Math.min(
+      (text || "").length * config.READ_DELAY_PER_CHAR_MS,
+      config.READ_DELAY_MAX_MS
+    )
+  );
+
+/**
+ * How long typing a message takes.
+ * @param {string} text The outgoing message part.
+ * @returns {number} Milliseconds (TYPING_DELAY_PER_CHAR_MS per character, at most TYPING_DELAY_MAX_MS).
+ */
+const getTypingDelay = (text) =>
+  withJitter(
+    Math.min(
+      (text || "").length * config.TYPING_DELAY_PER_CHAR_MS,
+      config.TYPING_DELAY_MAX_MS
+    )
+  );
+
+/**
+ * Waits.
+ * @param {number} ms Milliseconds; nothing happens for 0 or less.
+ * @returns {Promise<void>}
+ */
+const pause = (ms) =>
+  ms > 0
+    ? new Promise((resolve) => setTimeout(resolve, ms))
+    : Promise.resolve();
+
+/**
+ * Shows the typing indicator until stopped. Discord hides it after about ten seconds
+ * or when a message is sent, so it is sent again every TYPING_REFRESH_MS.
+ * @param {import('discord.js').TextBasedChannel} channel The channel.
+ * @returns {{refresh: () => void, stop: () => void}} `refresh` shows it again right away
+ *   (e.g. after sending a part), `stop` ends it.
+ */
+const startTyping = (channel) => {
+  let timer = null;
+  const sendTyping = () =>
+    channel
+      .sendTyping()
+      .catch((error) =>
+        logger.debug("Could not send the typing indicator:", error.message)
+      );
+  const refresh = () => {
+    clearInterval(timer);
+    sendTyping();
+    timer = setInterval(sendTyping, config.TYPING_REFRESH_MS);
+  };
+  refresh();
+  return {
+    refresh,
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  getReadDelay,
+  getTypingDelay,
+  pause,
+  startTyping,
+};
@@ -0,0 +1,176 @@
+// src/utils/imageGenerator.js
+// Queues image generation requests fairly between users and posts the results.
+
+const { AttachmentBuilder } = require("discord.js");
+const config = require("../../config");
+const logger = require("../logger");
+const imageGenerationService = require("../services/imageGenerationService");
+const historyManager = require("./historyManager");
+
+// Pending jobs per user: userId -> Array<{ request, resolve, reject }>
+const userQueues = new Map();
+// Users with pending jobs, in the order they are served (round-robin)
+const userOrder = [];
+// The user whose job is being generated, or null when idle
+let runningUserId = null;
+
+/**
+ * Fills in the configured defaults and checks the limits of a request.
+ * @param {object} request
+ * @param {string} request.prompt What to draw.
+ * @param {string} [request.negativePrompt] What to avoid.
+ * @param {number} [request.width] Image width in pixels.
+ * @param {number} [request.height] Image height in pixels.
+ * @param {number} [request.steps] Sampling steps.
+ * @returns {{request: object|null, error: string|null}} The complete request, or why it was refused.
+ */
+const resolveRequest = ({ prompt, negativePrompt, width, height, steps }) => {
+  const resolved = {
+    prompt: (prompt || "").trim(),
+    negativePrompt:
+      negativePrompt !== undefined
+        ? negativePrompt
+        : config.IMAGE_GEN_NEGATIVE_PROMPT,
+    width: width || config.IMAGE_GEN_WIDTH,
+    height: height || config.IMAGE_GEN_HEIGHT,
+    steps: steps || config.IMAGE_GEN_STEPS,
+  };
+  if (!resolved.prompt) {
+    return { request: null, error: "Tell me what to draw." };
+  }
+  for (const side of [resolved.width, resolved.height]) {
+    if (side < 64 || side > config.IMAGE_GEN_MAX_SIZE || side % 8 !== 0) {
+      return {
+        request: null,
+        error: `Width and height must be multiples of 8 between 64 and ${config.IMAGE_GEN_MAX_SIZE}.`,
+      };
+    }
+  }
+  if (resolved.steps < 1 || resolved.steps > config.IMAGE_GEN_MAX_STEPS) {
+    return {
+      request: null,
+      error: `Steps must be between 1 and ${config.IMAGE_GEN_MAX_STEPS}.`,
+    };
+  }
+  return { request: resolved, error: null };
+};
+
+/**
+ * Counts the jobs that run before a user's newest job, following the rotation.
+ * @param {string} userId The Discord user ID.
+ * @returns {number} Jobs ahead, including the one running.
+ */
+const countJobsAhead = (userId) => {
+  const remaining = new Map(
+    Array.from(userQueues, ([id, queue]) => [id, queue.length])
+  );
+  const order = [...userOrder];
+  let ahead = runningUserId !== null ? 1 : 0;
+  while (order.length > 0) {
+    const id = order.shift();
+    const left = remaining.get(id) - 1;
+    if (id === userId && left === 0) break;
+    ahead++;
+    if (left > 0) {
+      remaining.set(id, left);
+      order.push(id);
+    }
+  }
+  return ahead;
+};
+
+/**
+ * Runs the next job: users take turns, one job each, one job at a time.
+ */
+const runNext = async () => {
+  if (runningUserId !== null || userOrder.length === 0) return;
+
+  const userId = userOrder.shift();
+  runningUserId = userId;
+  const queue = userQueues.get(userId);
+  const job = queue.shift();
+  if (queue.length > 0) {
+    userOrder.push(userId);
+  } else {
+    userQueues.delete(userId);
+  }
+
+  try {
+    job.resolve(await imageGenerationService.txt2img(job.request));
+  } catch (error) {
+    job.reject(error);
+  } finally {
+    runningUserId = null;
+    runNext();
+  }
+};
+
+/**
+ * Queues an image for a user. Each user may have IMAGE_GEN_MAX_QUEUED_PER_USER
+ * requests waiting or running.
+ * @param {string} userId The Discord user ID.
+ * @param {object} request A request completed by resolveRequest.
+ * @returns {{image: Promise<Buffer>, jobsAhead: number}|null} The pending image and
+ *   how many jobs run before it, or null if the user's queue is full.
+ */
+const queueImage = (userId, request) => {
+  const queue = userQueues.get(userId) || [];
+  const pending = queue.length + (runningUserId === userId ? 1 : 0);
+  if (pending >= config.IMAGE_GEN_MAX_QUEUED_PER_USER) {
+    return null;
+  }
+
+  let job;
+  const image = new Promise((resolve, reject) => {
+    job = { request, resolve, reject };
+  });
+  queue.push(job);
+  if (!userQueues.has(userId)) {
+    userQueues.set(userId, queue);
+    userOrder.push(userId);
+  }
+  const jobsAhead = countJobsAhead(userId);
+  runNext();
+  return { image, jobsAhead };
+};
+
+/**
+ * Posts a generated image and notes it in the conversation history, so the AI
+ * knows what was drawn.
+ * @param {import('discord.js').TextBasedChannel} channel The channel to post to.
+ * @param {string} channelId The conversation key.
+ * @param {Buffer} image The PNG image.
+ * @param {object} details
+ * @param {string} details.prompt What was drawn.
+ * @param {string} details.requester Display name of the user who asked for it.
+ * @param {import('discord.js').Message} [details.replyTo] Message to reply to instead of posting.
+ */
+const postImage = async (
+  channel,
+  channelId,
+  image,
+  { prompt, requester, replyTo }
+) => {
+  const payload = {
+    content: `*${prompt}*`.substring(0, 2000),
+    files: [new AttachmentBuilder(image, { name: "image.png" })],
+  };
+  if (replyTo) {
+    await replyTo.reply(payload);
+  } else {
+    await channel.send(payload);
+  }
+
+  historyManager.addMessageToHistory(channelId, {
+    role: "assistant",
+    content: `[Generated an image for ${requester}: "${prompt}"]`,
+  });
+  historyManager.saveHistory();
+  logger.log(`Posted generated image for ${requester} in ${channelId}.`);
+};
+
+module.exports = {
+  resolveRequest,
+  queueImage,
+  postImage,
+};
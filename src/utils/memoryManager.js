@@ -0,0 +1,165 @@
+// src/utils/memoryManager.js
+// Long-term memory: embeds past exchanges and recalls the ones relevant to a new message.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const logger = require("../logger");
+const aiServiceProvider = require("../aiServiceProvider");
+
+// Default path for the memory store JSON file
+const MEMORY_FILE = path.join(process.cwd(), "data", "memories.json");
+
+// conversationKey -> Array<{ text, userContent, model, vector, timestamp }>
+let memories = null;
+
+/**
+ * Loads the memories from file on first use.
+ * @returns {object} The in-memory store.
+ */
+const getMemories = () => {
+  if (memories) return memories;
+  memories = {};
+  if (fs.existsSync(MEMORY_FILE)) {
+    try {
+      const data = fs.readFileSync(MEMORY_FILE, "utf8");
+      memories = data.trim() === "" ? {} : JSON.parse(data);
+      logger.log(
+        `MemoryManager: Loaded memories for ${
+          Object.keys(memories).length
+        } conversations`
+      );
+    } catch (error) {
+      logger.error(
+        `MemoryManager: Error loading ${MEMORY_FILE}, starting fresh:`,
+        error
+      );
+      memories = {};
+    }
+  }
+  return memories;
+};
+
+/**
+ * Saves the memories to file.
+ * @returns {boolean} True if saved successfully.
+ */
+const saveMemories = () => {
+  try {
+    const dataDir = path.dirname(MEMORY_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(MEMORY_FILE, JSON.stringify(getMemories()), "utf8");
+    logger.debug(`MemoryManager: Saved memories to ${MEMORY_FILE}`);
+    return true;
+  } catch (error) {
+    logger.error(`MemoryManager: Error saving ${MEMORY_FILE}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Cosine similarity of two vectors of the same length.
+ * @param {number[]} a First vector.
+ * @param {number[]} b Second vector.
+ * @returns {number} Similarity between -1 and 1.
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Embeds a user/assistant exchange and stores it in the conversation's memory.
+ * @param {string} channelId The conversation key.
+ * @param {string} userContent The user's message as stored in history.
+ * @param {string} assistantContent The bot's reply.
+ * @returns {Promise<boolean>} True if the exchange was stored.
+ */
+const rememberExchange = async (channelId, userContent, assistantContent) => {
+  const text = `User: ${userContent}\nBot: ${assistantContent}`;
+  const embedding = await aiServiceProvider.embed(text);
+  if (!embedding) {
+    logger.warn(
+      `MemoryManager: Could not embed exchange for ${channelId}. It will not be remembered.`
+    );
+    return false;
+  }
+
+  const store = getMemories();
+  if (!store[channelId]) store[channelId] = [];
+  store[channelId].push({
+    text,
+    userContent,
+    model: embedding.model,
+    vector: embedding.vectors[0],
+    timestamp: new Date().toISOString(),
+  });
+  return saveMemories();
+};
+
+/**
+ * Finds the stored exchanges most relevant to a message.
+ * Only memories embedded with the model that embeds the query are compared.
+ * @param {string} channelId The conversation key.
+ * @param {string} query The new message.
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] User messages whose exchanges are already in the prompt.
+ * @returns {Promise<Array<{text: string, score: number, timestamp: string}>>}
+ *   Up to MEMORY_TOP_K memories scoring at least MEMORY_MIN_SCORE, oldest first.
+ */
+const recall = async (channelId, query, { exclude = [] } = {}) => {
+  const excluded = new Set(exclude);
+  const candidates = (getMemories()[channelId] || []).filter(
+    (memory) => !excluded.has(memory.userContent)
+  );
+  if (candidates.length === 0) return [];
+
+  const embedding = await aiServiceProvider.embed(query);
+  if (!embedding) return [];
+  const [queryVector] = embedding.vectors;
+
+  return candidates
+    .filter(
+      (memory) =>
+        memory.model === embedding.model &&
+        memory.vector.length === queryVector.length
+    )
+    .map((memory) => ({
+      text: memory.text,
+      timestamp: memory.timestamp,
+      score: cosineSimilarity(queryVector, memory.vector),
+    }))
+    .filter((memory) => memory.score >= config.MEMORY_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.MEMORY_TOP_K)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+};
+
+/**
+ * Forgets everything stored for a conversation.
+ * @param {string} channelId The conversation key.
+ * @returns {boolean} True if there were memories to forget.
+ */
+const clearMemories = (channelId) => {
+  const store = getMemories();
+  if (!store[channelId]) return false;
+  delete store[channelId];
+  saveMemories();
+  logger.log(`MemoryManager: Cleared memories for ${channelId}`);
+  return true;
+};
+
+module.exports = {
+  rememberExchange,
+  recall,
+  clearMemories,
+};
@@ -0,0 +1,92 @@
+// src/utils/mentionTrigger.js
+// Decides whether a guild message addresses the bot (TRIGGER_MODE=mention) and removes the mention.
+
+const config = require("../../config");
+const messageUtils = require("./messageUtils");
+
+/**
+ * Gets the role Discord created for the bot in a guild (people can mention it instead of the bot).
+ * @param {import('discord.js').Message} message The message.
+ * @returns {import('discord.js').Role|null} The role, or null.
+ */
+const getBotRole = (message) =>
+  (message.guild &&
+    message.guild.members.me &&
+    message.guild.members.me.roles.botRole) ||
+  null;
+
+/**
+ * Gets the names the bot answers to: TRIGGER_NAMES, or its user name and nickname.
+ * @param {import('discord.js').Message} message The message.
+ * @returns {string[]} The names.
+ */
+const getBotNames = (message) => {
+  if (config.TRIGGER_NAMES.length > 0) return config.TRIGGER_NAMES;
+  const me = message.guild && message.guild.members.me;
+  return [message.client.user.username, me && me.displayName].filter(
+    (name, index, names) => name && names.indexOf(name) === index
+  );
+};
+
+/**
+ * Checks whether a text contains a name as a whole word (case-insensitive).
+ * @param {string} text The text.
+ * @param {string} name The name.
+ * @returns {boolean} True if the name appears.
+ */
+const containsName = (text, name) =>
+  new RegExp(
+    `(^|[^\\p{L}\\p{N}])${messageUtils.escapeRegExp(name)}($|[^\\p{L}\\p{N}])`,
+    "iu"
+  ).test(text);
+
+/**
+ * Finds out how a message addresses the bot.
+ * @param {import('discord.js').Message} message The message.
+ * @returns {"mention"|"reply"|"name"|null} How the bot was addressed, or null if it was not.
+ */
+const getTrigger = (message) => {
+  const botId = message.client.user.id;
+  const botRole = getBotRole(message);
+  if (
+    message.mentions.users.has(botId) ||
+    (botRole && message.mentions.roles.has(botRole.id))
+  ) {
+    return "mention";
+  }
+  const { repliedUser } = message.mentions;
+  if (repliedUser && repliedUser.id === botId) {
+    return "reply";
+  }
+  return getBotNames(message).some((name) =>
+    containsName(message.content, name)
+  )
+    ? "name"
+    : null;
+};
+
+/**
+ * Removes mentions of the bot (and its role) from a message's text.
+ * @param {import('discord.js').Message} message The message.
+ * @param {string} content The text.
+ * @returns {string} The text without the mentions.
+ */
+const stripBotMentions = (message, content) => {
+  const botRole = getBotRole(message);
+  const ids = [message.client.user.id, botRole && `&${botRole.id}`].filter(
+    (id) => id
+  );
+  return ids
+    .reduce(
+      // Space before the mention goes too, so "hey <@id>, you" becomes "hey, you"
+      (text, id) => text.replace(new RegExp(`\\s*<@!?${id}>`, "g"), ""),
+      content
+    )
+    .replace(/^[\s,:]+/, "")
+    .trim();
+};
+
+module.exports = {
+  getTrigger,
+  stripBotMentions,
+};
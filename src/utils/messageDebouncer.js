@@ -0,0 +1,106 @@
+// src/utils/messageDebouncer.js
+// Collects messages sent in quick succession and hands them over as one batch once the sender goes quiet.
+
+const config = require("../../config");
+const logger = require("../logger");
+
+/**
+ * A message waiting in a batch.
+ * @typedef {object} PendingMessage
+ * @property {import('discord.js').Message} message The Discord message.
+ * @property {string} content Its text for the AI (prefix removed).
+ */
+
+/**
+ * @typedef {object} Batch
+ * @property {PendingMessage[]} entries Messages in the order they arrived.
+ * @property {number} startedAt When the first message arrived.
+ * @property {NodeJS.Timeout} timer Fires the flush.
+ * @property {(entries: PendingMessage[]) => Promise<void>} onFlush Receives the batch.
+ */
+
+/** @type {Map<string, Batch>} */
+const batches = new Map();
+
+/**
+ * Gets the key messages are batched under: per author in a conversation, or per
+ * conversation when DEBOUNCE_SCOPE is "channel".
+ * @param {string} channelId The conversation key (channel ID or dm_userId).
+ * @param {string} userId The author's Discord user ID.
+ * @returns {string} The batch key.
+ */
+const getBatchKey = (channelId, userId) =>
+  config.DEBOUNCE_SCOPE === "channel" ? channelId : `${channelId}:${userId}`;
+
+/**
+ * Hands a batch over to its callback.
+ * @param {string} key The batch key.
+ */
+const flush = (key) => {
+  const batch = batches.get(key);
+  if (!batch) return;
+  batches.delete(key);
+  clearTimeout(batch.timer);
+  logger.debug(
+    `MessageDebouncer: Flushing ${batch.entries.length} message(s) for ${key}.`
+  );
+  batch.onFlush(batch.entries).catch((error) =>
+    logger.error(`MessageDebouncer: Error handling batch ${key}:`, error)
+  );
+};
+
+/**
+ * (Re)starts a batch's timer, never past DEBOUNCE_MAX_MS after its first message.
+ * @param {string} key The batch key.
+ * @param {number} delay How long to wait for more messages.
+ */
+const schedule = (key, delay) => {
+  const batch = batches.get(key);
+  clearTimeout(batch.timer);
+  const remaining = batch.startedAt + config.DEBOUNCE_MAX_MS - Date.now();
+  batch.timer = setTimeout(
+    () => flush(key),
+    Math.max(0, Math.min(delay, remaining))
+  );
+};
+
+/**
+ * Adds a message to its batch. The batch is flushed DEBOUNCE_MS after the last message
+ * (or DEBOUNCE_TYPING_MS after the sender last started typing). With DEBOUNCE_MS at 0,
+ * every message is handed over right away.
+ * @param {string} key The batch key (see getBatchKey).
+ * @param {PendingMessage} entry The message.
+ * @param {(entries: PendingMessage[]) => Promise<void>} onFlush Receives the batch.
+ * @returns {Promise<void>|undefined} The handling of the message when it is not debounced.
+ */
+const addMessage = (key, entry, onFlush) => {
+  if (config.DEBOUNCE_MS <= 0) return onFlush([entry]);
+
+  let batch = batches.get(key);
+  if (!batch) {
+    batch = { entries: [], startedAt: Date.now(), timer: null, onFlush };
+    batches.set(key, batch);
+  }
+  batch.entries.push(entry);
+  logger.debug(
+    `MessageDebouncer: ${batch.entries.length} message(s) waiting for ${key}.`
+  );
+  schedule(key, config.DEBOUNCE_MS);
+  return undefined;
+};
+
+/**
+ * Keeps a batch open while its sender is still typing.
+ * @param {string} key The batch key (see getBatchKey).
+ */
+const noteTyping = (key) => {
+  if (!batches.has(key)) return;
+  logger.debug(`MessageDebouncer: Still typing in ${key}, waiting.`);
+  schedule(key, config.DEBOUNCE_TYPING_MS);
+};
+
+module.exports = {
+  getBatchKey,
+  addMessage,
+  noteTyping,
+};
@@ -121,8 +121,33 @@ function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
 }
 
+/**
+ * Splits command arguments into words, keeping "quoted text" together.
+ * Line breaks (possible in free-text slash command options) become "\n" words,
+ * so joinWords can put them back.
+ * @param {string[]} args Arguments as split on whitespace by the command handler.
+ * @returns {string[]} The words, without the quotes.
+ */
+function tokenizeArgs(args) {
+  return Array.from(
+    args.join(" ").matchAll(/"([^"]*)"|(\n)|(\S+)/g),
+    (match) => match[1] ?? match[2] ?? match[3]
+  );
+}
+
+/**
+ * Joins words from tokenizeArgs back into text, keeping their line breaks.
+ * @param {string[]} words The words.
+ * @returns {string} The text.
+ */
+function joinWords(words) {
+  return words.join(" ").replace(/ ?\n ?/g, "\n").trim();
+}
+
 module.exports = {
   splitMessage,
   escapeRegExp,
   filterEmojis,
+  tokenizeArgs,
+  joinWords,
 };
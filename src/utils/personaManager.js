@@ -0,0 +1,176 @@
+// src/utils/personaManager.js
+// Loads named personas from data/personas and resolves the one active in a conversation.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const logger = require("../logger");
+const conversationSettingsManager = require("./conversationSettingsManager");
+const guildConfigManager = require("./guildConfigManager");
+const promptTemplate = require("./promptTemplate");
+
+// One JSON file per persona: data/personas/<name>.json
+const PERSONAS_DIR = path.join(process.cwd(), "data", "personas");
+const PERSONA_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * A named persona. Fields left out fall back to the global configuration.
+ * @typedef {object} Persona
+ * @property {string} name File name without .json; used in `!ai persona use <name>`.
+ * @property {string} [displayName] Name shown to users.
+ * @property {string} [description] One line shown in `!ai persona list`.
+ * @property {string} [systemPrompt] Replaces the provider's system prompt. May use placeholders.
+ * @property {number} [temperature] Sampling temperature.
+ * @property {number} [topP] Nucleus sampling cutoff.
+ * @property {number} [maxTokens] Reply length limit in tokens.
+ * @property {boolean} [allowEmojis] Overrides ALLOW_EMOJIS.
+ * @property {boolean} [allowSingleDot] Overrides ALLOW_SINGLE_DOT.
+ * @property {string} [greeting] Posted and added to the history when the persona is selected.
+ */
+
+/**
+ * Checks a persona name.
+ * @param {string} name The name.
+ * @returns {boolean} True if it is 1-32 lower-case letters, digits, "-" or "_".
+ */
+const isValidPersonaName = (name) => PERSONA_NAME_PATTERN.test(name || "");
+
+/**
+ * Loads a persona from its file. Files are read on every call, so edits apply right away.
+ * @param {string} name The persona name.
+ * @returns {Persona|null} The persona, or null if it does not exist or cannot be read.
+ */
+const getPersona = (name) => {
+  if (!isValidPersonaName(name)) return null;
+  const filePath = path.join(PERSONAS_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return { ...JSON.parse(fs.readFileSync(filePath, "utf8")), name };
+  } catch (error) {
+    logger.error(`PersonaManager: Error loading ${filePath}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Lists the personas in data/personas.
+ * @returns {Persona[]} The personas, sorted by name.
+ */
+const listPersonas = () => {
+  if (!fs.existsSync(PERSONAS_DIR)) return [];
+  return fs
+    .readdirSync(PERSONAS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => getPersona(path.basename(file, ".json")))
+    .filter((persona) => persona)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Saves a persona to data/personas/<name>.json, replacing an existing one.
+ * @param {Persona} persona The persona.
+ * @returns {boolean} True if saved successfully.
+ */
+const savePersona = (persona) => {
+  if (!isValidPersonaName(persona.name)) {
+    logger.warn(
+      `PersonaManager: Refusing to save invalid name "${persona.name}".`
+    );
+    return false;
+  }
+  try {
+    if (!fs.existsSync(PERSONAS_DIR)) {
+      fs.mkdirSync(PERSONAS_DIR, { recursive: true });
+    }
+    const { name, ...fields } = persona;
+    fs.writeFileSync(
+      path.join(PERSONAS_DIR, `${name}.json`),
+      JSON.stringify(fields, null, 2),
+      "utf8"
+    );
+    logger.log(`PersonaManager: Saved persona ${name}`);
+    return true;
+  } catch (error) {
+    logger.error(
+      `PersonaManager: Error saving persona ${persona.name}:`,
+      error
+    );
+    return false;
+  }
+};
+
+/**
+ * Gets the persona active in a conversation: the one bound with `!ai persona use`,
+ * otherwise the guild's persona (`!ai guild set persona`), otherwise DEFAULT_PERSONA.
+ * @param {string} channelId The conversation key.
+ * @param {string|null} [guildId] The guild the conversation is in (null for DMs).
+ * @returns {Persona|null} The persona, or null to use the global configuration.
+ */
+const getActivePersona = (channelId, guildId = null) => {
+  const name =
+    conversationSettingsManager.getSetting(channelId, "persona") ||
+    guildConfigManager.getGuildSettings(guildId).persona;
+  if (!name) return null;
+  const persona = getPersona(name);
+  if (!persona) {
+    logger.warn(
+      `PersonaManager: Persona "${name}" for ${channelId} not found.`
+    );
+  }
+  return persona;
+};
+
+/**
+ * Gets the AI request options a persona sets (system prompt and generation options).
+ * @param {Persona|null} persona The persona.
+ * @returns {object} Options to merge into the chat options.
+ */
+const getPersonaOptions = (persona) => {
+  const options = {};
+  if (!persona) return options;
+  for (const field of ["systemPrompt", "temperature", "topP", "maxTokens"]) {
+    if (persona[field] !== undefined) options[field] = persona[field];
+  }
+  return options;
+};
+
+/**
+ * Gets a persona's greeting with its placeholders filled (see promptTemplate).
+ * @param {Persona|null} persona The persona.
+ * @param {import('./promptTemplate').PromptContext} context Who selected the persona, and where.
+ * @returns {string|null} The greeting, or null if the persona has none.
+ */
+const getGreeting = (persona, context) =>
+  persona && persona.greeting
+    ? promptTemplate.render(
+        persona.greeting,
+        promptTemplate.buildVariables(context)
+      )
+    : null;
+
+/**
+ * Gets the reply clean-up rules, preferring the persona's over the global ones.
+ * @param {Persona|null} persona The persona.
+ * @returns {{allowEmojis: boolean, allowSingleDot: boolean}} The rules.
+ */
+const getReplyRules = (persona) => ({
+  allowEmojis:
+    persona && persona.allowEmojis !== undefined
+      ? persona.allowEmojis
+      : config.ALLOW_EMOJIS,
+  allowSingleDot:
+    persona && persona.allowSingleDot !== undefined
+      ? persona.allowSingleDot
+      : config.ALLOW_SINGLE_DOT,
+});
+
+module.exports = {
+  isValidPersonaName,
+  getPersona,
+  listPersonas,
+  savePersona,
+  getActivePersona,
+  getPersonaOptions,
+  getGreeting,
+  getReplyRules,
+};
@@ -0,0 +1,117 @@
+// src/utils/promptTemplate.js
+// Fills placeholders in system prompts (and persona greetings) for every AI provider.
+
+const { format } = require("date-fns-tz");
+const config = require("../../config");
+const logger = require("../logger");
+const userInfoManager = require("./userInfoManager");
+
+// <field> or <field|default>; names are letters, digits and underscores
+const PLACEHOLDER_PATTERN = /<([a-zA-Z_]\w*)(?:\|([^<>]*))?>/g;
+// <if field>...</if> or <if !field>...</if>, with an optional <else>; not nested
+const CONDITIONAL_PATTERN =
+  /<if\s+(!?)([a-zA-Z_]\w*)>([\s\S]*?)(?:<else>([\s\S]*?))?<\/if>/g;
+
+/**
+ * What the prompt is rendered for. Every field is optional.
+ * @typedef {object} PromptContext
+ * @property {string} [userId] Discord user ID of the speaker (for their profile).
+ * @property {string} [userName] Discord display name of the speaker.
+ * @property {string} [channelName] Channel name (not set in DMs).
+ * @property {string} [guildName] Server name (not set in DMs).
+ * @property {string} [botName] The bot's display name.
+ * @property {string} [personaName] Display name of the active persona.
+ */
+
+/**
+ * Builds the context of a Discord message.
+ * @param {import('discord.js').Message} message The message.
+ * @param {import('./personaManager').Persona|null} [persona] The active persona.
+ * @returns {PromptContext} The context.
+ */
+const getMessageContext = (message, persona) => ({
+  userId: message.author.id,
+  userName:
+    (message.member && message.member.displayName) ||
+    message.author.globalName ||
+    message.author.username,
+  channelName: message.guild ? message.channel.name : undefined,
+  guildName: message.guild ? message.guild.name : undefined,
+  botName:
+    (message.guild &&
+      message.guild.members.me &&
+      message.guild.members.me.displayName) ||
+    (message.client.user && message.client.user.username),
+  personaName: persona ? persona.displayName || persona.name : undefined,
+});
+
+/**
+ * Builds the template variables: the speaker's profile fields (e.g. <name>, <city>),
+ * <user> (profile name, else Discord name), <username>, <time>, <date>, <channel>,
+ * <guild>, <bot> and <persona>. Missing values are empty strings.
+ * @param {PromptContext} [context] What the prompt is rendered for.
+ * @returns {Object<string, string>} The variables.
+ */
+const buildVariables = (context = {}) => {
+  const variables = {};
+  for (const field of userInfoManager.getRequiredFields()) {
+    variables[field] = "";
+  }
+  const profile = context.userId
+    ? userInfoManager.getUserInfo(String(context.userId))
+    : null;
+  if (profile) {
+    for (const [field, value] of Object.entries(profile)) {
+      if (typeof value === "string" || typeof value === "number") {
+        variables[field] = String(value);
+      }
+    }
+  }
+
+  const now = new Date();
+  return {
+    ...variables,
+    user: variables.name || context.userName || "",
+    username: context.userName || "",
+    time: format(now, "HH:mm zzz", { timeZone: config.TIMEZONE }),
+    date: format(now, "EEEE yyyy-MM-dd", { timeZone: config.TIMEZONE }),
+    channel: context.channelName || "",
+    guild: context.guildName || "",
+    bot: context.botName || "",
+    persona: context.personaName || "",
+  };
+};
+
+/**
+ * Renders a template. `<field>` is replaced with the variable's value, `<field|text>`
+ * falls back to the text when the value is empty, and `<if field>...<else>...</if>`
+ * (or `<if !field>`) keeps the part matching whether the value is set. Placeholders of
+ * unknown variables without a default are left as they are.
+ * @param {string} template The template.
+ * @param {Object<string, string>} variables The variables (see buildVariables).
+ * @returns {string} The rendered text.
+ */
+const render = (template, variables) => {
+  if (!template) return template;
+  const has = (name) =>
+    Object.prototype.hasOwnProperty.call(variables, name);
+  const rendered = template
+    .replace(
+      CONDITIONAL_PATTERN,
+      (match, negate, name, whenSet, whenMissing = "") =>
+        !!(has(name) && variables[name]) !== !!negate ? whenSet : whenMissing
+    )
+    .replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+      const value = has(name) ? variables[name] : undefined;
+      if (fallback !== undefined) return value || fallback;
+      return value !== undefined ? value : match;
+    });
+  logger.debug(`Rendered prompt template: "${rendered.substring(0, 50)}..."`);
+  return rendered;
+};
+
+module.exports = {
+  getMessageContext,
+  buildVariables,
+  render,
+};
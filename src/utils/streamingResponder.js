@@ -0,0 +1,159 @@
+// src/utils/streamingResponder.js
+// Posts a streamed AI reply to Discord and edits it as tokens arrive.
+
+const config = require("../../config");
+const logger = require("../logger");
+const messageUtils = require("./messageUtils");
+
+/**
+ * Length of the longest suffix of `text` that is a prefix of `token`, i.e. the
+ * part that may turn into the token once more text arrives.
+ * @param {string} text The buffered text.
+ * @param {string} token The token to look for.
+ * @returns {number} Number of characters to hold back.
+ */
+const partialTokenLength = (text, token) => {
+  for (let length = Math.min(token.length - 1, text.length); length > 0; length--) {
+    if (token.startsWith(text.slice(-length))) return length;
+  }
+  return 0;
+};
+
+/**
+ * Creates a responder that turns a stream of text deltas into Discord messages.
+ * The current message is edited at most once per STREAM_EDIT_INTERVAL_MS. A new
+ * message is started whenever MESSAGE_SPLIT_TOKEN (or a blank line, like in the
+ * non-streaming path) appears, or when the current one reaches MESSAGE_CHUNK_SIZE.
+ * @param {import('discord.js').TextBasedChannel} channel Where to post the reply.
+ * @param {object} [options]
+ * @param {(text: string) => string} [options.format] Applied to each part before it is displayed.
+ * @param {(text: string) => Promise<import('discord.js').Message>} [options.send] Posts a new
+ *   message (e.g. as a reply). Defaults to sending it to the channel.
+ * @returns {{push: (delta: string) => void, finish: () => Promise<string>, hasSentMessages: () => boolean}}
+ */
+const createStreamingResponder = (
+  channel,
+  { format = (text) => text, send = (text) => channel.send(text) } = {}
+) => {
+  const splitToken = config.MESSAGE_SPLIT_TOKEN;
+
+  let fullText = ""; // Everything received, unmodified
+  let pending = ""; // Received text that may still turn into a split token
+  let currentPart = ""; // Text of the Discord message being streamed
+  let currentMessage = null; // The Discord message being edited
+  let displayedText = ""; // What currentMessage currently shows
+  let sentCount = 0;
+  let lastEditAt = 0;
+  let editTimer = null;
+  let operations = Promise.resolve(); // Keeps sends and edits in order
+
+  const enqueue = (operation) => {
+    operations = operations.then(operation).catch((error) => {
+      logger.error("Error updating streamed message:", error);
+    });
+    return operations;
+  };
+
+  // Sends or edits the current message so it shows the current part.
+  // The text is captured now because currentPart moves on before the queue runs.
+  const render = () => {
+    const text = format(currentPart).trim();
+    return enqueue(async () => {
+      if (!text || text === displayedText) return;
+      if (currentMessage) {
+        await currentMessage.edit(text);
+      } else {
+        currentMessage = await send(text);
+        sentCount++;
+      }
+      displayedText = text;
+      lastEditAt = Date.now();
+    });
+  };
+
+  const scheduleRender = () => {
+    if (editTimer) return;
+    const wait = Math.max(
+      0,
+      config.STREAM_EDIT_INTERVAL_MS - (Date.now() - lastEditAt)
+    );
+    editTimer = setTimeout(() => {
+      editTimer = null;
+      render();
+    }, wait);
+  };
+
+  // Shows the final text of the current part and moves on to a new message
+  const finalizePart = () => {
+    if (editTimer) {
+      clearTimeout(editTimer);
+      editTimer = null;
+    }
+    render();
+    enqueue(() => {
+      currentMessage = null;
+      displayedText = "";
+    });
+    currentPart = "";
+  };
+
+  const push = (delta) => {
+    if (!delta) return;
+    fullText += delta;
+    pending = (pending + delta).replaceAll("\n\n", splitToken);
+
+    let tokenIndex;
+    while ((tokenIndex = pending.indexOf(splitToken)) !== -1) {
+      currentPart += pending.slice(0, tokenIndex);
+      pending = pending.slice(tokenIndex + splitToken.length);
+      finalizePart();
+    }
+
+    // A trailing newline might become a blank line, and a trailing "[NEXT" the token
+    const holdBack = Math.max(
+      partialTokenLength(pending, splitToken),
+      pending.endsWith("\n") ? 1 : 0
+    );
+    currentPart += pending.slice(0, pending.length - holdBack);
+    pending = pending.slice(pending.length - holdBack);
+
+    // Too long for one Discord message: close the full chunks, keep streaming the rest
+    if (currentPart.length > config.MESSAGE_CHUNK_SIZE) {
+      const chunks = messageUtils.splitMessage(
+        currentPart,
+        config.MESSAGE_CHUNK_SIZE
+      );
+      const lastChunk = chunks.pop();
+      for (const chunk of chunks) {
+        currentPart = chunk;
+        finalizePart();
+      }
+      currentPart = lastChunk;
+    }
+
+    scheduleRender();
+  };
+
+  /**
+   * Flushes the remaining text and waits until every message is sent.
+   * @returns {Promise<string>} The full, unmodified response text.
+   */
+  const finish = async () => {
+    currentPart += pending;
+    pending = "";
+    finalizePart();
+    await operations;
+    logger.debug(`Streamed response into ${sentCount} Discord message(s).`);
+    return fullText;
+  };
+
+  return {
+    push,
+    finish,
+    hasSentMessages: () => sentCount > 0,
+  };
+};
+
+module.exports = {
+  createStreamingResponder,
+};
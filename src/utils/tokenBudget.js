@@ -0,0 +1,77 @@
+// src/utils/tokenBudget.js
+// Estimates token counts and fits conversation history into a model's context window.
+
+const config = require("../../config");
+
+// Extra tokens per message for the role and chat template markers
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Default estimate: about CHARS_PER_TOKEN characters per token.
+ * @param {string} text The text.
+ * @returns {number} Estimated token count.
+ */
+const estimateTokens = (text) => Math.ceil(text.length / config.CHARS_PER_TOKEN);
+
+let tokenizer = estimateTokens;
+
+/**
+ * Replaces the token estimate, e.g. with a real tokenizer for the model in use.
+ * @param {(text: string) => number} countFn Returns the token count of a text.
+ */
+const setTokenizer = (countFn) => {
+  tokenizer = typeof countFn === "function" ? countFn : estimateTokens;
+};
+
+/**
+ * Counts the tokens of a text.
+ * @param {string} text The text.
+ * @returns {number} Token count.
+ */
+const countTokens = (text) => (text ? tokenizer(String(text)) : 0);
+
+/**
+ * Counts the tokens a message takes up in the prompt. Attached images count
+ * IMAGE_TOKEN_ESTIMATE each.
+ * @param {{role: string, content: string, images?: Array}} message The message.
+ * @returns {number} Token count.
+ */
+const countMessageTokens = (message) =>
+  countTokens(message.content) +
+  (message.images ? message.images.length * config.IMAGE_TOKEN_ESTIMATE : 0) +
+  MESSAGE_OVERHEAD_TOKENS;
+
+/**
+ * Gets the context window of a model.
+ * @param {string} [modelName] The model name.
+ * @returns {number} The context size in tokens (MODEL_CONTEXT_TOKENS, else CONTEXT_TOKENS).
+ */
+const getContextSize = (modelName) =>
+  (modelName && config.MODEL_CONTEXT_TOKENS[modelName]) ||
+  config.CONTEXT_TOKENS;
+
+/**
+ * Keeps the most recent messages that fit into a token budget.
+ * @param {Array<{role: string, content: string}>} messages Messages, oldest first.
+ * @param {number} maxTokens The budget.
+ * @returns {Array<{role: string, content: string}>} The newest messages that fit, oldest first.
+ */
+const fitToBudget = (messages, maxTokens) => {
+  let usedTokens = 0;
+  let startIndex = messages.length;
+  while (startIndex > 0) {
+    const tokens = countMessageTokens(messages[startIndex - 1]);
+    if (usedTokens + tokens > maxTokens) break;
+    usedTokens += tokens;
+    startIndex--;
+  }
+  return messages.slice(startIndex);
+};
+
+module.exports = {
+  setTokenizer,
+  countTokens,
+  countMessageTokens,
+  getContextSize,
+  fitToBudget,
+};
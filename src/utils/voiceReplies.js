@@ -0,0 +1,108 @@
+// src/utils/voiceReplies.js
+// Decides when a reply is also spoken and sends the synthesized audio.
+
+const { AttachmentBuilder, MessageFlags } = require("discord.js");
+const config = require("../../config");
+const logger = require("../logger");
+const ttsService = require("../services/ttsService");
+const conversationSettingsManager = require("./conversationSettingsManager");
+
+// "on": always speak, "off": never, "auto": answer voice messages with voice
+const VOICE_REPLY_MODES = ["on", "off", "auto"];
+
+/**
+ * Gets the settings key of a user's own preferences, which apply in every conversation.
+ * @param {string} userId The Discord user ID.
+ * @returns {string} The key.
+ */
+const getUserSettingsKey = (userId) => `user_${userId}`;
+
+/**
+ * Gets the voice reply mode for a user in a conversation. The user's own preference
+ * wins over the conversation's, which wins over VOICE_REPLY_MODE.
+ * @param {string} channelId The conversation key.
+ * @param {string} userId The Discord user ID.
+ * @returns {{mode: string, source: "user"|"conversation"|"default"}} The mode and where it came from.
+ */
+const getVoiceReplyMode = (channelId, userId) => {
+  const userMode = conversationSettingsManager.getSetting(
+    getUserSettingsKey(userId),
+    "voiceReplies"
+  );
+  if (userMode) return { mode: userMode, source: "user" };
+  const conversationMode = conversationSettingsManager.getSetting(
+    channelId,
+    "voiceReplies"
+  );
+  if (conversationMode) {
+    return { mode: conversationMode, source: "conversation" };
+  }
+  return { mode: config.VOICE_REPLY_MODE, source: "default" };
+};
+
+/**
+ * Whether the reply to a message should also be spoken.
+ * @param {import('discord.js').Message} message The triggering message.
+ * @param {string} channelId The conversation key.
+ * @returns {boolean} True if TTS is configured and the mode asks for it.
+ */
+const shouldReplyWithVoice = (message, channelId) => {
+  if (!ttsService.isAvailable()) return false;
+  const { mode } = getVoiceReplyMode(channelId, message.author.id);
+  if (mode === "on") return true;
+  return mode === "auto" && message.flags.has(MessageFlags.IsVoiceMessage);
+};
+
+/**
+ * Turns a reply into the text to speak: parts split by MESSAGE_SPLIT_TOKEN become one text,
+ * and emojis (Unicode and custom Discord ones) are left out, since TTS would read out
+ * their names or stumble over them.
+ * @param {string} text The reply.
+ * @returns {string} The text to speak, empty if nothing is left.
+ */
+const toSpokenText = (text) =>
+  text
+    .split(config.MESSAGE_SPLIT_TOKEN)
+    .map((part) =>
+      part
+        .replace(/<a?:\w+:\d+>/g, "") // Custom emojis
+        .replace(
+          /[\p{Extended_Pictographic}\p{Emoji_Modifier}\u{FE0F}\u{200D}]/gu,
+          ""
+        ) // Unicode emojis, with skin tones and joiners
+        .replace(/[\u{1F1E6}-\u{1F1FF}]/gu, "") // Flags
+        .replace(/[ \t]{2,}/g, " ")
+        .trim()
+    )
+    .filter((part) => part)
+    .join(" ");
+
+/**
+ * Speaks a reply and sends it as an ordinary audio attachment (not a Discord voice
+ * message, which would need Opus audio and a waveform). Failures are logged only,
+ * the text reply is already in the channel.
+ * @param {import('discord.js').TextBasedChannel} channel The channel to send to.
+ * @param {string} text The reply, possibly containing MESSAGE_SPLIT_TOKEN.
+ */
+const sendVoiceReply = async (channel, text) => {
+  const spokenText = toSpokenText(text);
+  if (!spokenText) return;
+
+  try {
+    const { audio, extension } = await ttsService.synthesize(spokenText);
+    await channel.send({
+      files: [new AttachmentBuilder(audio, { name: `reply.${extension}` })],
+    });
+    logger.debug(`Sent voice reply (${audio.length} bytes) to ${channel.id}.`);
+  } catch (error) {
+    logger.error("Error sending voice reply:", error);
+  }
+};
+
+module.exports = {
+  VOICE_REPLY_MODES,
+  getUserSettingsKey,
+  getVoiceReplyMode,
+  shouldReplyWithVoice,
+  sendVoiceReply,
+};